@@ -0,0 +1,250 @@
+/**
+ * Panorama Tour Editor - Tiler Worker
+ *
+ * Turns an equirectangular panorama into the cube faces and multires tile
+ * pyramid Pannellum loads, the way Pannellum's generate.py does.
+ * Runs as a Web Worker so the editor stays responsive while tiling.
+ *
+ * Receives {file, tileResolution, type, quality} and posts back:
+ * - {type: 'info', cubeResolution, maxLevel, fileCount} once the image is read
+ * - {type: 'file', kind: 'preview'|'fallback'|'tile', face, level, y, x, blob} for every image
+ * - {type: 'done'} or {type: 'error', message}
+ *
+ * @requires OffscreenCanvas and createImageBitmap
+ */
+/**
+ * Cube face letters in the order Pannellum expects
+ * @type {string[]}
+ */
+const FACE_LETTERS = ['f', 'r', 'b', 'l', 'u', 'd'];
+
+/**
+ * Largest size of the fallback faces used by browsers without WebGL, in pixels
+ * @type {number}
+ */
+const FALLBACK_SIZE = 1024;
+
+/**
+ * Width of the equirectangular preview image shown while tiles load, in pixels
+ * @type {number}
+ */
+const PREVIEW_WIDTH = 1024;
+
+self.addEventListener('message', async (e) => {
+    try {
+        await tilePanorama(e.data);
+        self.postMessage({ type: 'done' });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
+
+/**
+ * Generate the preview, fallback faces and tiles of a panorama
+ * @param {Object} options - {file, tileResolution, type, quality}
+ */
+async function tilePanorama(options) {
+    const bitmap = await createImageBitmap(options.file);
+    if (Math.abs(bitmap.width / bitmap.height - 2) > 0.05) {
+        bitmap.close();
+        throw new Error(`The image is ${bitmap.width}×${bitmap.height}; a full equirectangular panorama is twice as wide as it is high`);
+    }
+    
+    const cubeResolution = getCubeResolution(bitmap.width);
+    const maxLevel = getMaxLevel(cubeResolution, options.tileResolution);
+    const fallbackSize = Math.min(FALLBACK_SIZE, cubeResolution);
+    
+    let fileCount = 1 + FACE_LETTERS.length;
+    for (let level = maxLevel, size = cubeResolution; level >= 1; level--, size = Math.floor(size / 2)) {
+        fileCount += FACE_LETTERS.length * Math.pow(Math.ceil(size / options.tileResolution), 2);
+    }
+    self.postMessage({ type: 'info', cubeResolution: cubeResolution, maxLevel: maxLevel, fileCount: fileCount });
+    
+    const previewHeight = Math.round(PREVIEW_WIDTH / 2);
+    const preview = resizeCanvas(bitmap, PREVIEW_WIDTH, previewHeight);
+    await postImage({ kind: 'preview' }, preview, options);
+    
+    const source = readPixels(bitmap);
+    bitmap.close();
+    
+    for (let faceIndex = 0; faceIndex < FACE_LETTERS.length; faceIndex++) {
+        const face = FACE_LETTERS[faceIndex];
+        let canvas = renderCubeFace(source, faceIndex, cubeResolution);
+        
+        await postImage({ kind: 'fallback', face: face }, resizeCanvas(canvas, fallbackSize, fallbackSize), options);
+        
+        // Each level halves the face of the level above, like generate.py
+        let size = cubeResolution;
+        for (let level = maxLevel; level >= 1; level--) {
+            if (level < maxLevel) {
+                canvas = resizeCanvas(canvas, size, size);
+            }
+            await postTiles(canvas, face, level, options);
+            size = Math.floor(size / 2);
+        }
+    }
+}
+
+/**
+ * Cube face size for an equirectangular image, as generate.py computes it
+ * @param {number} width - Image width in pixels
+ * @returns {number} Face size in pixels, a multiple of 8
+ */
+function getCubeResolution(width) {
+    return 8 * Math.floor(width / Math.PI / 8);
+}
+
+/**
+ * Number of resolution levels, as generate.py computes it
+ * The lowest level is about one tile; a level of exactly one tile below that is skipped
+ * @param {number} cubeResolution - Face size in pixels
+ * @param {number} tileResolution - Tile size in pixels
+ * @returns {number} Highest level
+ */
+function getMaxLevel(cubeResolution, tileResolution) {
+    let levels = Math.ceil(Math.log2(cubeResolution / tileResolution)) + 1;
+    if (Math.round(cubeResolution / Math.pow(2, levels - 2)) === tileResolution) {
+        levels--;
+    }
+    return Math.max(1, levels);
+}
+
+/**
+ * Read the pixels of an image
+ * @param {ImageBitmap} bitmap - Decoded image
+ * @returns {ImageData} Image pixels
+ */
+function readPixels(bitmap) {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0);
+    return context.getImageData(0, 0, bitmap.width, bitmap.height);
+}
+
+/**
+ * Project one cube face out of the equirectangular pixels
+ * Every face pixel is turned into a view direction and sampled bilinearly;
+ * the panorama wraps around horizontally
+ * @param {ImageData} source - Equirectangular pixels
+ * @param {number} faceIndex - Index in FACE_LETTERS
+ * @param {number} size - Face size in pixels
+ * @returns {OffscreenCanvas} Face image
+ */
+function renderCubeFace(source, faceIndex, size) {
+    const width = source.width;
+    const height = source.height;
+    const input = source.data;
+    const face = new ImageData(size, size);
+    const output = face.data;
+    
+    for (let row = 0; row < size; row++) {
+        const b = 2 * (row + 0.5) / size - 1;
+        for (let column = 0; column < size; column++) {
+            const a = 2 * (column + 0.5) / size - 1;
+            const direction = getFaceDirection(faceIndex, a, b);
+            
+            // Longitude 0 is the middle of the image, latitude 90° its top row
+            const lon = Math.atan2(direction[0], direction[2]);
+            const lat = Math.atan2(direction[1], Math.hypot(direction[0], direction[2]));
+            const u = (lon / (2 * Math.PI) + 0.5) * width - 0.5;
+            const v = (0.5 - lat / Math.PI) * height - 0.5;
+            
+            const x0 = Math.floor(u);
+            const y0 = Math.floor(v);
+            const dx = u - x0;
+            const dy = v - y0;
+            const left = ((x0 % width) + width) % width;
+            const right = (left + 1) % width;
+            const top = Math.min(Math.max(y0, 0), height - 1);
+            const bottom = Math.min(Math.max(y0 + 1, 0), height - 1);
+            
+            const topLeft = (top * width + left) * 4;
+            const topRight = (top * width + right) * 4;
+            const bottomLeft = (bottom * width + left) * 4;
+            const bottomRight = (bottom * width + right) * 4;
+            const target = (row * size + column) * 4;
+            
+            for (let channel = 0; channel < 4; channel++) {
+                const upper = input[topLeft + channel] * (1 - dx) + input[topRight + channel] * dx;
+                const lower = input[bottomLeft + channel] * (1 - dx) + input[bottomRight + channel] * dx;
+                output[target + channel] = upper * (1 - dy) + lower * dy;
+            }
+        }
+    }
+    
+    const canvas = new OffscreenCanvas(size, size);
+    canvas.getContext('2d').putImageData(face, 0, 0);
+    return canvas;
+}
+
+/**
+ * View direction through a point of a cube face
+ * x points right, y up and z forward; the up and down faces have the front face at their bottom and top edge
+ * @param {number} faceIndex - Index in FACE_LETTERS
+ * @param {number} a - Horizontal position on the face, -1 (left) to 1 (right)
+ * @param {number} b - Vertical position on the face, -1 (top) to 1 (bottom)
+ * @returns {number[]} Direction [x, y, z]
+ */
+function getFaceDirection(faceIndex, a, b) {
+    switch (FACE_LETTERS[faceIndex]) {
+        case 'f': return [a, -b, 1];
+        case 'r': return [1, -b, -a];
+        case 'b': return [-a, -b, -1];
+        case 'l': return [-1, -b, a];
+        case 'u': return [a, 1, b];
+        default: return [a, -1, -b];
+    }
+}
+
+/**
+ * Scale an image to a new size
+ * @param {CanvasImageSource} image - Image to scale
+ * @param {number} width - New width in pixels
+ * @param {number} height - New height in pixels
+ * @returns {OffscreenCanvas} Scaled image
+ */
+function resizeCanvas(image, width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(image, 0, 0, width, height);
+    return canvas;
+}
+
+/**
+ * Cut a face level into tiles and post them
+ * Tiles at the right and bottom edge are cropped to the face
+ * @param {OffscreenCanvas} canvas - Face image at the level's size
+ * @param {string} face - Cube face letter
+ * @param {number} level - Resolution level
+ * @param {Object} options - Tiling options
+ */
+async function postTiles(canvas, face, level, options) {
+    const size = canvas.width;
+    const tiles = Math.ceil(size / options.tileResolution);
+    
+    for (let y = 0; y < tiles; y++) {
+        for (let x = 0; x < tiles; x++) {
+            const left = x * options.tileResolution;
+            const top = y * options.tileResolution;
+            const width = Math.min(options.tileResolution, size - left);
+            const height = Math.min(options.tileResolution, size - top);
+            
+            const tile = new OffscreenCanvas(width, height);
+            tile.getContext('2d').drawImage(canvas, left, top, width, height, 0, 0, width, height);
+            await postImage({ kind: 'tile', face: face, level: level, y: y, x: x }, tile, options);
+        }
+    }
+}
+
+/**
+ * Encode an image and post it to the editor
+ * @param {Object} file - Message fields telling which image it is
+ * @param {OffscreenCanvas} canvas - Image to encode
+ * @param {Object} options - Tiling options with the image type and quality
+ * @returns {Promise} Resolves when posted
+ */
+async function postImage(file, canvas, options) {
+    const blob = await canvas.convertToBlob({ type: options.type, quality: options.quality });
+    self.postMessage(Object.assign({ type: 'file', blob: blob }, file));
+}
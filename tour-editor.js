@@ -18,6 +18,7 @@
 /**
  * Global tour configuration object
  * Contains all tour settings, scenes, and hotspots
+ * Editor-only settings are kept in an optional "editor" block that Pannellum ignores
  * @type {Object}
  */
 let tourConfig = {
@@ -39,6 +40,298 @@ let pendingHotspot = null;      // Temporary hotspot data during creation/editin
 let draggedSceneId = null;      // Scene being dragged in scene order list
 let draggedHotspotIndex = null; // Hotspot being dragged in hotspot list
 let hotspotCounter = 0;         // Counter for generating unique hotspot IDs
+let historyPast = [];           // Tour snapshots that can be restored with undo
+let historyFuture = [];         // Tour snapshots that can be restored with redo
+let hasUnsavedChanges = false;  // True when the tour changed since the last export
+let autosaveTimer = null;       // Pending debounced autosave
+let lastAutosaveAt = null;      // Timestamp of the last successful autosave
+let panoramaHotspotDrag = null; // Hotspot being dragged in the panorama preview
+let suppressHotspotClick = false; // Swallow the click that ends a hotspot drag
+let graphPointerAction = null;  // Node being moved or linked in the scene graph
+let minimapMode = null;         // 'place' or 'aim' while the next floor plan click edits a pin
+let pendingReturnLink = null;   // Hotspot whose return link is placed by the next Cmd/Ctrl+click in its target scene
+let followedHotspot = null;     // Scene link last followed in the preview, whose arrival view can be captured
+let sceneSettingCapture = null; // Scene setting being picked from the preview while the Edit Scene modal is hidden
+let selectedHotspots = new Set(); // Hotspots of the current scene ticked in the hotspot list
+let lastSelectedHotspot = null;   // Last ticked hotspot, where a Shift+click range starts
+let thumbnailCache = new Map();   // Scene thumbnail data URLs by image source key, null while pending or failed
+let thumbnailQueue = Promise.resolve(); // Thumbnails are generated one at a time
+let thumbnailDbPromise = null;    // IndexedDB database that keeps thumbnails between visits
+let bulkSceneFolder = null;       // Folder picked in the bulk scene modal: {name, files} with files by path inside it
+let bulkSceneRows = [];           // Panoramas found by the bulk scene modal: {sceneId, basePath, settings, include}
+let tilerJob = null;              // Running tile generation: {stopped, stopWorker}
+let generatedPanoramas = new Map(); // Panoramas tiled into browser storage by tour and folder: {key, tourId, folderKey, preview, faces, filesMissing}
+let tileDbPromise = null;         // IndexedDB database with tiles generated into the browser
+let pendingMerge = null;          // Tour read for the merge modal: {config, fileName}
+
+/**
+ * Maximum number of undo steps kept in memory
+ * @type {number}
+ */
+const MAX_HISTORY_ENTRIES = 100;
+
+/**
+ * localStorage key holding the autosaved working tour
+ * @type {string}
+ */
+const AUTOSAVE_STORAGE_KEY = 'tourEditorAutosave';
+
+/**
+ * Delay in milliseconds between the last change and the autosave
+ * @type {number}
+ */
+const AUTOSAVE_DELAY = 1000;
+
+/**
+ * localStorage key for the last used HTML export options
+ * @type {string}
+ */
+const HTML_EXPORT_STORAGE_KEY = 'tourEditorHtmlExport';
+
+/**
+ * Pannellum build used by exported tours that load it from a CDN
+ * Same version as the editor preview
+ * @type {string}
+ */
+const PANNELLUM_CDN_URL = 'https://cdn.jsdelivr.net/npm/pannellum@2.5.6/build/';
+
+/**
+ * Folder of the tour package that holds the panorama files of each scene
+ * @type {string}
+ */
+const PACKAGE_PANORAMA_FOLDER = 'panoramas/';
+
+/**
+ * Folder of the tour package that holds the floor plan images
+ * @type {string}
+ */
+const PACKAGE_FLOOR_PLAN_FOLDER = 'floorplans/';
+
+/**
+ * Folder of the tour package that holds the hotspot style icons
+ * @type {string}
+ */
+const PACKAGE_ICON_FOLDER = 'icons/';
+
+/**
+ * Largest width or height of an uploaded floor plan embedded in the tour, in pixels
+ * @type {number}
+ */
+const FLOOR_PLAN_MAX_SIZE = 2048;
+
+/**
+ * Largest width or height of an uploaded hotspot style icon embedded in the tour, in pixels
+ * @type {number}
+ */
+const STYLE_ICON_MAX_SIZE = 256;
+
+/**
+ * Longest data URL an uploaded image may take in the tour, in characters (about 375 KB of image)
+ * The tour is copied into every undo step and the autosave, which localStorage limits to a few MB
+ * @type {number}
+ */
+const EMBEDDED_IMAGE_MAX_LENGTH = 500000;
+
+/**
+ * Cube face letters used in multires tile and fallback paths
+ * @type {string[]}
+ */
+const CUBE_FACE_LETTERS = ['f', 'r', 'b', 'l', 'u', 'd'];
+
+/**
+ * Aspect ratio assumed when turning an imported vertical field of view into hfov
+ * krpano and Marzipano tours can store the vertical field of view, Pannellum only the horizontal one
+ * @type {number}
+ */
+const IMPORT_VIEW_ASPECT = 16 / 9;
+
+/**
+ * Pixels the mouse must travel before a press on a hotspot becomes a drag
+ * Shorter movements are treated as a normal click on the hotspot
+ * @type {number}
+ */
+const HOTSPOT_DRAG_THRESHOLD = 4;
+
+/**
+ * Size of a scene node in the scene graph, in pixels
+ * @type {{width: number, height: number}}
+ */
+const GRAPH_NODE_SIZE = { width: 120, height: 36 };
+
+/**
+ * Size of generated scene thumbnails in pixels
+ * @type {{width: number, height: number}}
+ */
+const THUMBNAIL_SIZE = { width: 192, height: 108 };
+
+/**
+ * IndexedDB database that caches scene thumbnails between visits
+ * @type {string}
+ */
+const THUMBNAIL_DB_NAME = 'tourEditorThumbnails';
+
+/**
+ * Object store of the thumbnail database, with thumbnails as data URLs by source key
+ * @type {string}
+ */
+const THUMBNAIL_STORE_NAME = 'thumbnails';
+
+/**
+ * Cube map face names in the order Pannellum expects in the cubeMap array
+ * Also used as suffixes of the cube face form fields
+ * @type {Array<string>}
+ */
+const CUBE_FACE_NAMES = ['Front', 'Right', 'Back', 'Left', 'Up', 'Down'];
+
+/**
+ * Scene properties that describe the panorama source
+ * Replaced as a group when the scene type or source changes
+ * @type {Array<string>}
+ */
+const SCENE_SOURCE_KEYS = ['type', 'preview', 'multiRes', 'panorama', 'haov', 'vaov', 'vOffset', 'cubeMap'];
+
+/**
+ * Optional text settings of a scene, edited in the advanced sections of the Edit Scene modal
+ * Form fields are named "editScene" + the capitalized key; empty fields leave the setting out
+ * @type {Array<string>}
+ */
+const SCENE_TEXT_SETTINGS = ['title', 'author'];
+
+/**
+ * Optional numeric settings of a scene, edited like SCENE_TEXT_SETTINGS
+ * @type {Array<string>}
+ */
+const SCENE_NUMBER_SETTINGS = [
+    'northOffset', 'horizonPitch', 'horizonRoll',
+    'minPitch', 'maxPitch', 'minYaw', 'maxYaw', 'minHfov', 'maxHfov',
+    'autoRotate', 'autoRotateInactivityDelay'
+];
+
+/**
+ * Tour-wide on/off viewer options with Pannellum's default for each
+ * Form fields are named "tour" + the capitalized key
+ * @type {Object<string, boolean>}
+ */
+const TOUR_BOOLEAN_SETTINGS = {
+    autoLoad: false,
+    showControls: true,
+    showFullscreenCtrl: true,
+    compass: false,
+    mouseZoom: true,
+    keyboardZoom: true,
+    orientationOnByDefault: false,
+    hotSpotDebug: false
+};
+
+/**
+ * Tour-wide numeric and text viewer options; empty fields leave the option out
+ * @type {Array<string>}
+ */
+const TOUR_NUMBER_SETTINGS = ['sceneFadeDuration', 'autoRotate', 'autoRotateInactivityDelay'];
+const TOUR_TEXT_SETTINGS = ['author'];
+
+/**
+ * Hotspot modal style option that keeps a CSS class that isn't in the tour's style library
+ * @type {string}
+ */
+const HOTSPOT_STYLE_KEEP = '__keep__';
+
+/**
+ * Instructions shown while a scene setting is picked from the preview
+ * @type {Object<string, string>}
+ */
+const SCENE_SETTING_CAPTURE_HINTS = {
+    northOffset: 'Turn the view to face north',
+    minPitch: 'Look down to the lowest point visitors may see',
+    maxPitch: 'Look up to the highest point visitors may see',
+    minYaw: 'Turn left to the leftmost point visitors may see',
+    maxYaw: 'Turn right to the rightmost point visitors may see',
+    minHfov: 'Zoom in as far as visitors may zoom in',
+    maxHfov: 'Zoom out as far as visitors may zoom out'
+};
+
+/**
+ * Settings of a single panorama config that apply to the whole tour
+ * They go to the "default" block when such a config is imported; everything else goes to the scene
+ * @type {string[]}
+ */
+const TOUR_DEFAULT_KEYS = [
+    'autoLoad', 'autoRotate', 'autoRotateInactivityDelay', 'autoRotateStopDelay',
+    'showControls', 'showZoomCtrl', 'showFullscreenCtrl', 'orientationOnByDefault',
+    'keyboardZoom', 'mouseZoom', 'draggable', 'friction', 'disableKeyboardCtrl',
+    'sceneFadeDuration', 'compass', 'hotSpotDebug', 'backgroundColor',
+    'crossOrigin', 'basePath', 'strings'
+];
+
+/**
+ * Built-in multiRes tiling settings for new scenes
+ * A tour can override them with its own defaults in tourConfig.editor.sceneDefaults
+ * @type {Object}
+ */
+const DEFAULT_MULTIRES_SETTINGS = {
+    path: "%l/%s_%y_%x",
+    fallbackPath: "/fallback/%s",
+    extension: "jpg",
+    tileResolution: 512,
+    maxLevel: 4,
+    cubeResolution: 4096
+};
+
+/**
+ * Highest level and tile column count tried when probing a tile folder
+ * @type {number}
+ */
+const MAX_PROBED_TILES = 32;
+
+/**
+ * Tile formats tried when the configured extension finds no tiles
+ * @type {string[]}
+ */
+const TILE_EXTENSIONS = ['jpg', 'png', 'webp'];
+
+/**
+ * How many folders deep a picked folder is searched for panorama folders
+ * Deep enough for tour/panoramas/scene/level/tile
+ * @type {number}
+ */
+const BULK_SCENE_FOLDER_DEPTH = 4;
+
+/**
+ * Web Worker that cuts equirectangular images into multires tiles
+ * @type {string}
+ */
+const TILER_WORKER_URL = 'tour-editor-tiler.js';
+
+/**
+ * Image types the tiler can write, by tile extension
+ * @type {Object<string, string>}
+ */
+const TILER_IMAGE_TYPES = { jpg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+/**
+ * JPEG and WebP quality of generated tiles
+ * @type {number}
+ */
+const TILER_QUALITY = 0.85;
+
+/**
+ * IndexedDB database that keeps tiles generated into the browser
+ * @type {string}
+ */
+const TILE_DB_NAME = 'tourEditorTiles';
+
+/**
+ * Object store of the tile database with the generated files, by storage key and path inside the folder
+ * @type {string}
+ */
+const TILE_FILE_STORE_NAME = 'files';
+
+/**
+ * Object store of the tile database with one record per panorama folder,
+ * holding the preview and fallback faces the editor shows
+ * @type {string}
+ */
+const TILE_PANORAMA_STORE_NAME = 'panoramas';
 
 /**
  * DOM element references
@@ -50,10 +343,15 @@ const addSceneBtn = document.getElementById('addSceneBtn');
 const deleteSceneBtn = document.getElementById('deleteSceneBtn');
 const captureViewBtn = document.getElementById('captureViewBtn');
 const exportBtn = document.getElementById('exportBtn');
+const exportHtmlBtn = document.getElementById('exportHtmlBtn');
+const exportPackageBtn = document.getElementById('exportPackageBtn');
 const copyBtn = document.getElementById('copyBtn');
 const importBtn = document.getElementById('importBtn');
 const importFile = document.getElementById('importFile');
 const previewBtn = document.getElementById('previewBtn');
+const graphToggleBtn = document.getElementById('graphToggleBtn');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
 
 // Scene management elements
 const editSceneBtn = document.getElementById('editSceneBtn');
@@ -66,6 +364,10 @@ const hotspotsList = document.getElementById('hotspotsList');
 const addSceneModal = document.getElementById('addSceneModal');
 const addHotspotModal = document.getElementById('addHotspotModal');
 const editSceneModal = document.getElementById('editSceneModal');
+const exportHtmlModal = document.getElementById('exportHtmlModal');
+const exportPackageModal = document.getElementById('exportPackageModal');
+const bulkSceneModal = document.getElementById('bulkSceneModal');
+const mergeTourModal = document.getElementById('mergeTourModal');
 
 /**
  * ===================================================================
@@ -99,6 +401,7 @@ function initializeViewer() {
         try {
             // Pass a deep copy to prevent Pannellum from modifying our config
             const configCopy = JSON.parse(JSON.stringify(tourConfig));
+            Object.values(configCopy.scenes).forEach(prepareViewerScene);
             viewer = pannellum.viewer('panorama', configCopy);
             setupViewerEventListeners();
             setupNavigationButtons();
@@ -151,8 +454,17 @@ function setupViewerEventListeners() {
             sceneSelect.value = sceneId;
             selectScene();
         }
+        
+        // Follow the active scene on the floor plan
+        showFloorOfScene(sceneId);
+        
+        // Offer to capture the arrival view of the link that was followed
+        updateArrivalNotice(sceneId);
     });
     
+    // Turn the minimap view cone when the camera stops moving
+    viewer.on('animatefinished', updateMinimapHeading);
+    
     // Handle clicks for adding hotspots
     const panoramaEl = document.querySelector('#panorama');
     if (!panoramaEl) return;
@@ -177,15 +489,20 @@ function setupViewerEventListeners() {
     // Handle click for adding hotspots
     panoramaEl.addEventListener('click', function(e) {
         if ((e.ctrlKey || e.metaKey) && currentScene && viewer) {
+            // Stop here so listeners added by earlier viewers don't handle the same click
             e.preventDefault();
-            e.stopPropagation();
+            e.stopImmediatePropagation();
             
             // Use Pannellum's API to get accurate coordinates
             const coords = viewer.mouseEventToCoords(e);
             if (coords) {
                 const pitch = coords[0];
                 const yaw = coords[1];
-                showAddHotspotModal(pitch, yaw);
+                if (pendingReturnLink && pendingReturnLink.targetScene === currentScene) {
+                    placeCapturedReturnHotspot(pitch, yaw);
+                } else {
+                    showAddHotspotModal(pitch, yaw);
+                }
             }
             
             return false;
@@ -261,11 +578,26 @@ function prevScene() {
  */
 document.addEventListener('DOMContentLoaded', () => {
     setupEventListeners();
+    const restoredScene = offerAutosaveRestore();
     initializeSceneOrder();
     updateSceneDropdowns();
     renderSceneOrderList();
-    restoreSceneOrderState();
+    restoreCollapsibleSections();
+    renderHistoryList();
     initializeViewer();
+    
+    // Return to the scene that was open when the tour was autosaved
+    if (restoredScene && tourConfig.scenes[restoredScene] && viewer) {
+        sceneSelect.value = restoredScene;
+        selectScene();
+    }
+    
+    // Show panoramas tiled into this browser on an earlier visit once their faces are loaded
+    loadGeneratedPanoramas().then(() => {
+        if (Object.values(tourConfig.scenes).some(findGeneratedPanorama)) {
+            refreshEditorFromConfig(currentScene);
+        }
+    });
 });
 
 /**
@@ -281,9 +613,15 @@ function setupEventListeners() {
     
     // Configuration
     exportBtn.addEventListener('click', exportConfiguration);
+    exportHtmlBtn.addEventListener('click', showExportHtmlModal);
+    exportPackageBtn.addEventListener('click', showExportPackageModal);
     copyBtn.addEventListener('click', copyJSObject);
     importBtn.addEventListener('click', () => importFile.click());
     importFile.addEventListener('change', importConfiguration);
+    document.getElementById('mergeBtn').addEventListener('click', () => document.getElementById('mergeFile').click());
+    document.getElementById('mergeFile').addEventListener('change', importMergeFile);
+    undoBtn.addEventListener('click', () => undo());
+    redoBtn.addEventListener('click', () => redo());
     previewBtn.addEventListener('click', () => {
         initializeViewer(); // Force refresh
         
@@ -302,14 +640,59 @@ function setupEventListeners() {
     
     // Modal handlers
     document.getElementById('confirmAddScene').addEventListener('click', addNewScene);
+    document.getElementById('bulkAddScenesBtn').addEventListener('click', showBulkSceneModal);
+    document.getElementById('bulkSceneSource').addEventListener('change', updateBulkSceneSourceFields);
+    document.getElementById('bulkScenePickFolder').addEventListener('click', pickBulkSceneFolder);
+    document.getElementById('bulkSceneFolderInput').addEventListener('change', handleBulkSceneFolderInput);
+    document.getElementById('bulkSceneDetect').addEventListener('click', detectBulkScenes);
+    document.getElementById('bulkSceneAll').addEventListener('change', (e) => includeAllBulkScenes(e.target.checked));
+    document.getElementById('confirmBulkScenes').addEventListener('click', addBulkScenes);
+    document.getElementById('cancelBulkScenes').addEventListener('click', hideBulkSceneModal);
     document.getElementById('cancelAddScene').addEventListener('click', hideAddSceneModal);
+    document.getElementById('mergeTourPrefix').addEventListener('input', renderMergeTourCollisions);
+    document.getElementById('mergeSceneCollisions').addEventListener('change', renderMergeTourCollisions);
+    document.getElementById('mergeHotspotCollisions').addEventListener('change', renderMergeTourCollisions);
+    document.getElementById('confirmMergeTour').addEventListener('click', confirmMergeTour);
+    document.getElementById('cancelMergeTour').addEventListener('click', hideMergeTourModal);
     document.getElementById('confirmEditScene').addEventListener('click', editCurrentScene);
     document.getElementById('cancelEditScene').addEventListener('click', hideEditSceneModal);
+    
+    // Preview advanced scene settings while the Edit Scene modal is open
+    SCENE_NUMBER_SETTINGS.forEach(key => {
+        document.getElementById(getSceneSettingFieldId(key)).addEventListener('input', previewSceneSettings);
+    });
+    editSceneModal.querySelectorAll('[data-capture-setting]').forEach(button => {
+        button.addEventListener('click', () => startSceneSettingCapture(button.dataset.captureSetting));
+    });
+    document.getElementById('confirmSettingCapture').addEventListener('click', confirmSceneSettingCapture);
+    document.getElementById('cancelSettingCapture').addEventListener('click', cancelSceneSettingCapture);
     document.getElementById('confirmAddHotspot').addEventListener('click', confirmAddHotspot);
     document.getElementById('cancelAddHotspot').addEventListener('click', hideAddHotspotModal);
+    document.getElementById('confirmExportHtml').addEventListener('click', exportHtmlTour);
+    document.getElementById('cancelExportHtml').addEventListener('click', hideExportHtmlModal);
+    document.getElementById('exportHtmlPannellumSource').addEventListener('change', updateExportHtmlFields);
+    document.getElementById('confirmExportPackage').addEventListener('click', exportTourPackage);
+    document.getElementById('cancelExportPackage').addEventListener('click', hideExportPackageModal);
+    document.getElementById('exportPackageSource').addEventListener('change', updateExportPackageFields);
+    document.getElementById('newSceneType').addEventListener('change', () => updateSceneTypeFields('newScene'));
+    document.getElementById('editSceneType').addEventListener('change', () => updateSceneTypeFields('editScene'));
+    document.getElementById('newSceneSaveDefaults').addEventListener('click', () => saveSceneDefaults('newScene'));
+    document.getElementById('editSceneSaveDefaults').addEventListener('click', () => saveSceneDefaults('editScene'));
+    document.getElementById('newSceneDetectTiles').addEventListener('click', () => detectTileSettings('newScene'));
+    document.getElementById('newSceneGenerateTiles').addEventListener('click', generateSceneTiles);
+    document.getElementById('newSceneRemoveStoredTiles').addEventListener('click', removeAllStoredTiles);
+    document.getElementById('editSceneRemoveStoredTiles').addEventListener('click', removeSceneStoredTiles);
+    document.getElementById('editSceneDetectTiles').addEventListener('click', () => detectTileSettings('editScene'));
+    
+    // Generate tiles from an image dropped into the Add Scene modal
+    const tilerDropZone = document.getElementById('newSceneTilerDropZone');
+    tilerDropZone.addEventListener('dragover', handleTilerDragOver);
+    tilerDropZone.addEventListener('dragleave', (e) => e.currentTarget.classList.remove('drag-over'));
+    tilerDropZone.addEventListener('drop', handleTilerDrop);
     
     // First scene selection
     firstSceneSelect.addEventListener('change', (e) => {
+        pushHistory(`Set first scene to "${e.target.value}"`);
         tourConfig.default.firstScene = e.target.value;
         if (viewer && e.target.value) {
             // Just update config, don't load the scene
@@ -317,11 +700,83 @@ function setupEventListeners() {
         }
     });
     
-    // Scene Order collapse toggle
-    const sceneOrderHeader = document.getElementById('sceneOrderHeader');
-    if (sceneOrderHeader) {
-        sceneOrderHeader.addEventListener('click', toggleSceneOrder);
-    }
+    // Search across scenes and hotspots
+    document.getElementById('tourSearch').addEventListener('input', renderSearchResults);
+    document.getElementById('tourSearch').addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.target.value = '';
+            renderSearchResults();
+        }
+    });
+    
+    // Hotspot selection and bulk actions
+    document.getElementById('selectAllHotspots').addEventListener('change', (e) => selectAllHotspots(e.target.checked));
+    document.getElementById('clearHotspotSelectionBtn').addEventListener('click', () => selectAllHotspots(false));
+    document.getElementById('hotspotBulkAction').addEventListener('change', renderHotspotBulkBar);
+    document.getElementById('applyHotspotBulkBtn').addEventListener('click', applyHotspotBulkAction);
+    
+    // Hotspot style library
+    document.getElementById('styleSelect').addEventListener('change', renderHotspotStyles);
+    document.getElementById('addStyleBtn').addEventListener('click', addHotspotStyle);
+    document.getElementById('deleteStyleBtn').addEventListener('click', deleteHotspotStyle);
+    ['styleName', 'styleCssClass', 'styleIcon', 'styleSize', 'styleTooltip'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateHotspotStyle);
+    });
+    document.getElementById('uploadStyleIconBtn').addEventListener('click', () => document.getElementById('styleIconFile').click());
+    document.getElementById('styleIconFile').addEventListener('change', handleStyleIconFile);
+    
+    // Tour-wide viewer defaults
+    Object.keys(TOUR_BOOLEAN_SETTINGS).concat(TOUR_NUMBER_SETTINGS, TOUR_TEXT_SETTINGS).forEach(key => {
+        document.getElementById(getTourSettingFieldId(key)).addEventListener('change', () => updateTourSetting(key));
+    });
+    
+    // Collapsible section toggles
+    COLLAPSIBLE_SECTIONS.forEach(section => {
+        const header = document.getElementById(section.header);
+        if (header) {
+            header.addEventListener('click', () => toggleCollapsibleSection(section));
+        }
+    });
+    
+    // Tour validation
+    document.getElementById('validateBtn').addEventListener('click', () => renderValidationReport(validateTour()));
+    
+    // Scene graph
+    graphToggleBtn.addEventListener('click', toggleSceneGraph);
+    document.getElementById('thumbnailToggleBtn').addEventListener('click', toggleThumbnailView);
+    document.getElementById('refreshThumbnailsBtn').addEventListener('click', refreshSceneThumbnails);
+    const graphSvg = document.getElementById('sceneGraphSvg');
+    graphSvg.addEventListener('mousedown', handleGraphMouseDown);
+    document.addEventListener('mousemove', handleGraphMouseMove);
+    document.addEventListener('mouseup', handleGraphMouseUp);
+    
+    // Floor plan minimap
+    document.getElementById('floorSelect').addEventListener('change', renderFloorPlanPanel);
+    document.getElementById('addFloorBtn').addEventListener('click', addFloor);
+    document.getElementById('deleteFloorBtn').addEventListener('click', deleteFloor);
+    document.getElementById('floorName').addEventListener('change', updateFloorDetails);
+    document.getElementById('floorImage').addEventListener('change', updateFloorDetails);
+    document.getElementById('uploadFloorImageBtn').addEventListener('click', () => document.getElementById('floorImageFile').click());
+    document.getElementById('floorImageFile').addEventListener('change', handleFloorImageFile);
+    document.getElementById('placePinBtn').addEventListener('click', () => setMinimapMode('place'));
+    document.getElementById('aimPinBtn').addEventListener('click', () => setMinimapMode('aim'));
+    document.getElementById('northPinBtn').addEventListener('click', useNorthOffsetForPin);
+    document.getElementById('removePinBtn').addEventListener('click', removeScenePin);
+    document.getElementById('minimapPlan').addEventListener('click', handleMinimapClick);
+    
+    // Undo/redo keyboard shortcuts
+    document.addEventListener('keydown', handleHistoryShortcut);
+    
+    // Drag hotspots directly on the panorama
+    // Capture phase so Pannellum doesn't start panning or follow the link
+    const panoramaEl = document.getElementById('panorama');
+    panoramaEl.addEventListener('mousedown', handlePanoramaHotspotMouseDown, true);
+    panoramaEl.addEventListener('click', handlePanoramaHotspotClick, true);
+    document.addEventListener('mousemove', handlePanoramaHotspotMouseMove);
+    document.addEventListener('mouseup', handlePanoramaHotspotMouseUp);
+    
+    // Save pending changes and warn before leaving with unexported work
+    window.addEventListener('beforeunload', handleBeforeUnload);
     
     // Auto-populate hotspot text and ID when target scene is selected
     const hotspotTarget = document.getElementById('hotspotTarget');
@@ -340,7 +795,7 @@ function setupEventListeners() {
             if (targetScene) {
                 const currentId = hotspotId.value.trim();
                 // Only update if current ID follows the auto-generated pattern or is empty
-                if (!currentId || /^hs_\w+_\d{3}$/.test(currentId)) {
+                if (!currentId || isAutoGeneratedHotspotId(currentId)) {
                     const newId = generateSceneBasedHotspotId(targetScene);
                     hotspotId.value = newId;
                 }
@@ -348,11 +803,45 @@ function setupEventListeners() {
         });
     }
     
+    // Highlight the picked scene among the target thumbnails
+    document.getElementById('hotspotTarget').addEventListener('change', updateTargetThumbnailSelection);
+    
+    // Show the return link position only when a return link is requested
+    document.getElementById('hotspotCreateReturn').addEventListener('change', updateHotspotTypeFields);
+    document.getElementById('cancelReturnLinkBtn').addEventListener('click', cancelReturnLinkCapture);
+    
+    // Per-hotspot arrival views
+    document.getElementById('hotspotArrivalMode').addEventListener('change', handleArrivalModeChange);
+    document.getElementById('captureArrivalBtn').addEventListener('click', captureArrivalView);
+    document.getElementById('dismissArrivalBtn').addEventListener('click', () => updateArrivalNotice(null));
+    
+    // Switch the hotspot form between scene links and info hotspots
+    const hotspotType = document.getElementById('hotspotType');
+    if (hotspotType && hotspotId) {
+        hotspotType.addEventListener('change', (e) => {
+            updateHotspotTypeFields();
+            
+            // Swap the ID to the matching pattern (but preserve user edits)
+            const currentId = hotspotId.value.trim();
+            if (!currentId || isAutoGeneratedHotspotId(currentId)) {
+                if (e.target.value === 'info') {
+                    hotspotId.value = generateInfoHotspotId(currentScene);
+                } else {
+                    hotspotId.value = generateSceneBasedHotspotId(hotspotTarget.value || currentScene);
+                }
+            }
+        });
+    }
+    
     // Close modals on outside click
     window.addEventListener('click', (e) => {
         if (e.target === addSceneModal) hideAddSceneModal();
         if (e.target === editSceneModal) hideEditSceneModal();
         if (e.target === addHotspotModal) hideAddHotspotModal();
+        if (e.target === exportHtmlModal) hideExportHtmlModal();
+        if (e.target === exportPackageModal) hideExportPackageModal();
+        if (e.target === bulkSceneModal) hideBulkSceneModal();
+        if (e.target === mergeTourModal) hideMergeTourModal();
     });
 }
 
@@ -368,13 +857,25 @@ function showAddSceneModal() {
     addSceneModal.style.display = 'flex';
     document.getElementById('newSceneId').value = '';
     document.getElementById('newScenePath').value = '';
+    document.getElementById('newScenePanorama').value = '';
+    document.getElementById('newScenePreview').value = '';
+    CUBE_FACE_NAMES.forEach(face => {
+        document.getElementById('newSceneCube' + face).value = '';
+    });
+    fillMultiResFields('newScene', getSceneDefaults());
+    document.getElementById('newSceneDetectStatus').textContent = '';
+    document.getElementById('newSceneTilerFile').value = '';
+    document.getElementById('newSceneTilerStatus').textContent = '';
+    updateSceneTypeFields('newScene');
 }
 
 /**
  * Hide the add scene modal dialog
+ * Stops tile generation that is still running
  */
 function hideAddSceneModal() {
     addSceneModal.style.display = 'none';
+    cancelSceneTiling();
 }
 
 /**
@@ -388,16 +889,40 @@ function showEditSceneModal() {
     }
     
     const scene = tourConfig.scenes[currentScene];
+    const multiRes = Object.assign(getSceneDefaults(), scene.multiRes);
+    const cubeMap = scene.cubeMap || [];
     
     // Populate modal with current scene data
     document.getElementById('editSceneId').value = currentScene;
-    document.getElementById('editScenePath').value = scene.multiRes.basePath || '';
+    document.getElementById('editSceneType').value = getSceneType(scene);
     document.getElementById('editSceneHfov').value = scene.hfov || 100;
     document.getElementById('editScenePitch').value = scene.pitch || 0;
     document.getElementById('editSceneYaw').value = scene.yaw || 0;
-    document.getElementById('editSceneMaxLevel').value = scene.multiRes.maxLevel || 5;
-    document.getElementById('editSceneCubeResolution').value = scene.multiRes.cubeResolution || 8192;
     
+    // Multires source
+    fillMultiResFields('editScene', multiRes);
+    document.getElementById('editSceneDetectStatus').textContent = '';
+    updateStoredTilesNote();
+    
+    // Only show the preview when it differs from the one derived from the tiles
+    const autoPreview = scene.multiRes ? buildTileUrl(scene.multiRes, 1, 'f', 0, 0) : null;
+    document.getElementById('editScenePreview').value = scene.preview && scene.preview !== autoPreview ? scene.preview : '';
+    
+    // Equirectangular source
+    document.getElementById('editScenePanorama').value = scene.panorama || '';
+    document.getElementById('editSceneHaov').value = scene.haov !== undefined ? scene.haov : 360;
+    document.getElementById('editSceneVaov').value = scene.vaov !== undefined ? scene.vaov : 180;
+    document.getElementById('editSceneVOffset').value = scene.vOffset || 0;
+    
+    // Cubemap source
+    CUBE_FACE_NAMES.forEach((face, index) => {
+        document.getElementById('editSceneCube' + face).value = cubeMap[index] || '';
+    });
+    
+    // Advanced settings
+    fillSceneSettingsFields(scene);
+    
+    updateSceneTypeFields('editScene');
     editSceneModal.style.display = 'flex';
 }
 
@@ -406,6 +931,11 @@ function showEditSceneModal() {
  */
 function hideEditSceneModal() {
     editSceneModal.style.display = 'none';
+    
+    // Drop the live preview of settings that weren't saved
+    if (currentScene && tourConfig.scenes[currentScene]) {
+        applySceneSettingsToViewer(getSceneSettings(tourConfig.scenes[currentScene]));
+    }
 }
 
 /**
@@ -414,11 +944,9 @@ function hideEditSceneModal() {
  */
 function addNewScene() {
     const newSceneId = document.getElementById('newSceneId').value.trim();
-    const newScenePath = document.getElementById('newScenePath').value.trim();
-    const maxLevel = parseInt(document.getElementById('newSceneMaxLevel').value);
-    const cubeResolution = parseInt(document.getElementById('newSceneCubeResolution').value);
+    const source = readSceneSourceFields('newScene');
     
-    if (!newSceneId || !newScenePath) {
+    if (!newSceneId || !source) {
         alert('Please fill in all required fields');
         return;
     }
@@ -428,24 +956,16 @@ function addNewScene() {
         return;
     }
     
+    pushHistory(`Add scene "${newSceneId}"`);
+    
     // Create new scene configuration
-    tourConfig.scenes[newSceneId] = {
+    tourConfig.scenes[newSceneId] = Object.assign({
         "hfov": 100,
         "pitch": 0,
-        "yaw": 0,
-        "type": "multires",
-        "preview": newScenePath + "1/f_0_0.jpg",
-        "multiRes": {
-            "basePath": newScenePath,
-            "path": "%l/%s_%y_%x",
-            "fallbackPath": "/fallback/%s",
-            "extension": "jpg",
-            "tileResolution": 512,
-            "maxLevel": maxLevel,
-            "cubeResolution": cubeResolution
-        },
+        "yaw": 0
+    }, source, {
         "hotSpots": []
-    };
+    });
     
     // Add to scene order
     tourConfig.default.sceneOrder.push(newSceneId);
@@ -465,7 +985,7 @@ function addNewScene() {
         try {
             // Pass a deep copy to prevent Pannellum from modifying our config
             const sceneCopy = JSON.parse(JSON.stringify(tourConfig.scenes[newSceneId]));
-            viewer.addScene(newSceneId, sceneCopy);
+            viewer.addScene(newSceneId, prepareViewerScene(sceneCopy));
             // Load the new scene
             viewer.loadScene(newSceneId, 
                 tourConfig.scenes[newSceneId].pitch || 0,
@@ -544,6 +1064,8 @@ function deleteCurrentScene() {
     }
     
     if (confirm(confirmMessage)) {
+        pushHistory(`Delete scene "${currentScene}"`);
+        
         if (viewer) {
             try {
                 const currentActiveScene = viewer.getScene();
@@ -651,6 +1173,14 @@ function deleteCurrentScene() {
             scene.hotSpots = scene.hotSpots.filter(h => h.sceneId !== sceneToDelete);
         });
         
+        // Forget the scene's graph position and floor plan pin
+        const positions = getGraphPositions();
+        delete positions[sceneToDelete];
+        const scenePin = findScenePin(sceneToDelete);
+        if (scenePin) {
+            delete scenePin.floor.pins[sceneToDelete];
+        }
+        
         updateSceneDropdowns();
         renderSceneOrderList();
         
@@ -715,19 +1245,27 @@ function editCurrentScene() {
     if (!currentScene) return;
     
     const newSceneId = document.getElementById('editSceneId').value.trim();
-    const newScenePath = document.getElementById('editScenePath').value.trim();
+    const source = readSceneSourceFields('editScene');
     const newHfov = parseFloat(document.getElementById('editSceneHfov').value);
     const newPitch = parseFloat(document.getElementById('editScenePitch').value);
     const newYaw = parseFloat(document.getElementById('editSceneYaw').value);
-    const newMaxLevel = parseInt(document.getElementById('editSceneMaxLevel').value);
-    const newCubeResolution = parseInt(document.getElementById('editSceneCubeResolution').value);
+    const settings = readSceneSettingsFields();
     
     // Validate required fields
-    if (!newSceneId || !newScenePath) {
+    if (!newSceneId || !source) {
         alert('Please fill in all required fields');
         return;
     }
     
+    const settingsError = validateSceneSettings(settings);
+    if (settingsError) {
+        alert(settingsError);
+        return;
+    }
+    
+    // Snapshot before renaming so the whole edit is a single undo step
+    const historySnapshot = createHistorySnapshot();
+    
     // Check if scene ID has changed and rename if needed
     if (newSceneId !== currentScene) {
         if (!renameScene(currentScene, newSceneId)) {
@@ -739,13 +1277,11 @@ function editCurrentScene() {
     
     // Update scene properties
     const scene = tourConfig.scenes[currentScene];
-    scene.multiRes.basePath = newScenePath;
-    scene.preview = newScenePath + "1/f_0_0.jpg";
+    applySceneSource(scene, source);
     scene.hfov = newHfov;
     scene.pitch = newPitch;
     scene.yaw = newYaw;
-    scene.multiRes.maxLevel = newMaxLevel;
-    scene.multiRes.cubeResolution = newCubeResolution;
+    applySceneSettings(scene, settings);
     
     // Update hotspot target positions and HFOV
     updateHotspotReferences(currentScene, {
@@ -754,6 +1290,7 @@ function editCurrentScene() {
         targetHfov: scene.hfov
     });
     
+    pushHistory(`Edit scene "${currentScene}"`, historySnapshot);
     hideEditSceneModal();
     
     // Update viewer dynamically
@@ -764,7 +1301,7 @@ function editCurrentScene() {
             viewer.removeScene(currentScene);
             // Pass a deep copy to prevent Pannellum from modifying our config
             const sceneCopy = JSON.parse(JSON.stringify(scene));
-            viewer.addScene(currentScene, sceneCopy);
+            viewer.addScene(currentScene, prepareViewerScene(sceneCopy));
             if (wasCurrentScene) {
                 viewer.loadScene(currentScene, scene.pitch, scene.yaw, scene.hfov);
             }
@@ -804,6 +1341,8 @@ function captureCurrentView() {
 function updateSceneWithCapturedView(pitch, yaw, hfov) {
     if (!currentScene || !tourConfig.scenes[currentScene]) return;
     
+    pushHistory(`Capture view for "${currentScene}"`);
+    
     const scene = tourConfig.scenes[currentScene];
     
     // Update scene's camera properties
@@ -855,16 +1394,24 @@ function updateHotspotsList() {
     const hotspots = tourConfig.scenes[currentScene].hotSpots || [];
     hotspotsList.innerHTML = '';
     
+    // Drop selected hotspots that were deleted, moved or belong to another scene
+    selectedHotspots = new Set(hotspots.filter(hotspot => selectedHotspots.has(hotspot)));
+    
     hotspots.forEach((hotspot, index) => {
         const item = document.createElement('div');
-        item.className = 'hotspot-item';
+        item.className = 'hotspot-item' + (selectedHotspots.has(hotspot) ? ' selected' : '');
         item.draggable = true;
         item.dataset.hotspotIndex = index;
         item.innerHTML = `
+            <input type="checkbox" class="hotspot-select" title="Select for bulk actions" ${selectedHotspots.has(hotspot) ? 'checked' : ''}>
             <span class="hotspot-drag-handle">≡</span>
             <div class="hotspot-item-text">
-                <strong>${hotspot.text}</strong> → ${hotspot.sceneId}
+                <strong>${hotspot.text}</strong> ${hotspot.type === 'info' ? '<span class="hotspot-type-badge">info</span>' : `→ ${hotspot.sceneId}`}
+                ${findLinkedHotspot(hotspot) ? `<span class="hotspot-type-badge" title="Return link: ${hotspot.linkedHotspotId}">two-way</span>` : ''}
+                ${hotspot.cssClass ? `<span class="hotspot-type-badge" title="CSS class: ${hotspot.cssClass}">${getHotspotStyleName(hotspot.cssClass)}</span>` : ''}
                 <br><small>Hotspot: ${hotspot.pitch.toFixed(1)}°, ${hotspot.yaw.toFixed(1)}°</small>
+                ${hotspot.targetLocked ? `<br><small>Arrival: ${describeArrivalView(hotspot)} (locked)</small>` : ''}
+                ${hotspot.URL ? `<br><small class="hotspot-url">${hotspot.URL}</small>` : ''}
             </div>
             <div class="hotspot-buttons">
                 <button class="hotspot-edit" onclick="editHotspot(${index})">Edit</button>
@@ -874,13 +1421,17 @@ function updateHotspotsList() {
         
         // Add click listener for lookAt functionality (excluding buttons)
         item.addEventListener('click', function(e) {
-            // Don't trigger lookAt if clicking on buttons or drag handle
-            if (e.target.closest('.hotspot-buttons') || e.target.closest('.hotspot-drag-handle')) {
+            // Don't trigger lookAt if clicking on buttons, drag handle or checkbox
+            if (e.target.closest('.hotspot-buttons') || e.target.closest('.hotspot-drag-handle') || e.target.closest('.hotspot-select')) {
                 return;
             }
             previewHotspotLocation(hotspot);
         });
         
+        item.querySelector('.hotspot-select').addEventListener('click', (e) => {
+            toggleHotspotSelection(index, e.target.checked, e.shiftKey);
+        });
+        
         // Add drag event listeners
         item.addEventListener('dragstart', handleHotspotDragStart);
         item.addEventListener('dragover', handleHotspotDragOver);
@@ -891,6 +1442,10 @@ function updateHotspotsList() {
         
         hotspotsList.appendChild(item);
     });
+    
+    renderHotspotBulkBar();
+    renderSearchResults();
+    renderSceneGraph();
 }
 
 /**
@@ -903,6 +1458,17 @@ window.deleteHotspot = function(index) {
     const hotspots = tourConfig.scenes[currentScene].hotSpots;
     if (index >= 0 && index < hotspots.length) {
         const deletedHotspot = hotspots[index];
+        const linked = findLinkedHotspot(deletedHotspot);
+        const deleteLinked = linked && confirm(`Hotspot "${deletedHotspot.id}" has a return link "${linked.hotspot.id}" in scene "${linked.sceneId}". Delete the return link too?`);
+        pushHistory(`Delete hotspot "${deletedHotspot.id || deletedHotspot.text}"`);
+        
+        // Delete or unlink the other side of a two-way link
+        if (deleteLinked) {
+            tourConfig.scenes[linked.sceneId].hotSpots.splice(linked.index, 1);
+            removeSingleHotspot(linked.hotspot.id, linked.sceneId);
+        } else if (linked) {
+            delete linked.hotspot.linkedHotspotId;
+        }
         
         // Remove from viewer first
         if (deletedHotspot.id && viewer) {
@@ -967,7 +1533,7 @@ function updateViewerHotspots() {
         viewer.removeScene(currentScene);
         // Pass a deep copy to prevent Pannellum from modifying our config
         const sceneCopy = JSON.parse(JSON.stringify(scene));
-        viewer.addScene(currentScene, sceneCopy);
+        viewer.addScene(currentScene, prepareViewerScene(sceneCopy));
         
         if (wasCurrentScene) {
             viewer.loadScene(currentScene, currentPitch, currentYaw, currentHfov);
@@ -982,12 +1548,13 @@ function updateViewerHotspots() {
 /**
  * Add a single hotspot to the viewer
  * @param {Object} hotspotData - Hotspot configuration object
+ * @param {string} [sceneId] - Scene to add it to (defaults to the current scene)
  */
-function addSingleHotspot(hotspotData) {
-    if (!viewer || !currentScene) return;
+function addSingleHotspot(hotspotData, sceneId = currentScene) {
+    if (!viewer || !sceneId) return;
     
     try {
-        viewer.addHotSpot(hotspotData, currentScene);
+        viewer.addHotSpot(styleViewerHotspot(hotspotData), sceneId);
     } catch (error) {
         console.error('Error adding hotspot:', error);
         // Fallback to full update
@@ -998,13 +1565,14 @@ function addSingleHotspot(hotspotData) {
 /**
  * Remove a single hotspot from the viewer
  * @param {string} hotspotId - ID of hotspot to remove
+ * @param {string} [sceneId] - Scene to remove it from (defaults to the current scene)
  * @returns {boolean} Success status
  */
-function removeSingleHotspot(hotspotId) {
-    if (!viewer || !currentScene || !hotspotId) return;
+function removeSingleHotspot(hotspotId, sceneId = currentScene) {
+    if (!viewer || !sceneId || !hotspotId) return;
     
     try {
-        const success = viewer.removeHotSpot(hotspotId, currentScene);
+        const success = viewer.removeHotSpot(hotspotId, sceneId);
         return success;
     } catch (error) {
         console.error('Error removing hotspot:', error);
@@ -1012,18 +1580,172 @@ function removeSingleHotspot(hotspotId) {
     }
 }
 
+/**
+ * Find the hotspot ID that belongs to a rendered hotspot element
+ * Pannellum keeps a reference to each hotspot's element in its scene config
+ * @param {Element} element - Element inside the panorama container
+ * @returns {string|null} Hotspot ID, or null if the element isn't a hotspot
+ */
+function findViewerHotspotId(element) {
+    if (!viewer || !element || !element.closest) return null;
+    
+    const hotspotEl = element.closest('.pnlm-hotspot-base');
+    if (!hotspotEl) return null;
+    
+    try {
+        const viewerHotspots = viewer.getConfig().hotSpots || [];
+        const match = viewerHotspots.find(h => h.div === hotspotEl);
+        return match && match.id ? match.id : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Start tracking a possible hotspot drag in the panorama
+ * @param {MouseEvent} e - Mousedown event (capture phase)
+ */
+function handlePanoramaHotspotMouseDown(e) {
+    if (e.button !== 0 || e.ctrlKey || e.metaKey || !viewer || !currentScene) return;
+    if (viewer.getScene() !== currentScene) return;
+    
+    const hotspotId = findViewerHotspotId(e.target);
+    if (!hotspotId) return;
+    
+    const hotspots = tourConfig.scenes[currentScene].hotSpots || [];
+    if (!hotspots.some(h => h.id === hotspotId)) return;
+    
+    // Keep Pannellum from panning while the hotspot is held
+    e.preventDefault();
+    e.stopPropagation();
+    
+    panoramaHotspotDrag = {
+        hotspotId: hotspotId,
+        startX: e.clientX,
+        startY: e.clientY,
+        moved: false,
+        snapshot: createHistorySnapshot(),
+        frameRequested: false,
+        lastEvent: null
+    };
+}
+
+/**
+ * Move the held hotspot to the position under the mouse
+ * @param {MouseEvent} e - Mousemove event
+ */
+function handlePanoramaHotspotMouseMove(e) {
+    const drag = panoramaHotspotDrag;
+    if (!drag) return;
+    
+    if (!drag.moved) {
+        const distance = Math.abs(e.clientX - drag.startX) + Math.abs(e.clientY - drag.startY);
+        if (distance < HOTSPOT_DRAG_THRESHOLD) return;
+        drag.moved = true;
+        document.getElementById('panorama').classList.add('dragging-hotspot');
+    }
+    
+    // Re-adding the hotspot is costly, so update at most once per frame
+    drag.lastEvent = e;
+    if (!drag.frameRequested) {
+        drag.frameRequested = true;
+        requestAnimationFrame(() => {
+            drag.frameRequested = false;
+            if (panoramaHotspotDrag === drag && drag.lastEvent) {
+                moveHotspotToMouse(drag.hotspotId, drag.lastEvent);
+            }
+        });
+    }
+}
+
+/**
+ * Finish a hotspot drag and record it as one undoable change
+ * @param {MouseEvent} e - Mouseup event
+ */
+function handlePanoramaHotspotMouseUp(e) {
+    const drag = panoramaHotspotDrag;
+    if (!drag) return;
+    
+    panoramaHotspotDrag = null;
+    if (!drag.moved) return;
+    
+    document.getElementById('panorama').classList.remove('dragging-hotspot');
+    moveHotspotToMouse(drag.hotspotId, e);
+    pushHistory(`Move hotspot "${drag.hotspotId}"`, drag.snapshot);
+    updateHotspotsList();
+    
+    // The click that follows this mouseup must not follow the hotspot's link
+    suppressHotspotClick = true;
+    setTimeout(() => {
+        suppressHotspotClick = false;
+    }, 0);
+}
+
+/**
+ * Swallow the click that ends a hotspot drag
+ * @param {MouseEvent} e - Click event (capture phase)
+ */
+function handlePanoramaHotspotClick(e) {
+    if (suppressHotspotClick) {
+        suppressHotspotClick = false;
+        e.preventDefault();
+        e.stopPropagation();
+        return;
+    }
+    
+    // Remember which scene link is followed so its arrival view can be captured
+    const hotspotId = findViewerHotspotId(e.target);
+    const hotspot = hotspotId && currentScene && (tourConfig.scenes[currentScene].hotSpots || []).find(h => h.id === hotspotId);
+    if (hotspot && hotspot.type === 'scene') {
+        followedHotspot = { sceneId: currentScene, hotspotId: hotspotId, targetScene: hotspot.sceneId };
+    }
+}
+
+/**
+ * Place a hotspot of the current scene at the mouse position
+ * Updates tourConfig and re-adds the hotspot to the viewer
+ * @param {string} hotspotId - ID of the hotspot to move
+ * @param {MouseEvent} e - Mouse event with the new position
+ */
+function moveHotspotToMouse(hotspotId, e) {
+    if (!viewer || !currentScene) return;
+    
+    const hotspot = (tourConfig.scenes[currentScene].hotSpots || []).find(h => h.id === hotspotId);
+    if (!hotspot) return;
+    
+    const coords = viewer.mouseEventToCoords(e);
+    if (!coords) return;
+    
+    // Same precision as the pitch/yaw fields of the hotspot modal
+    hotspot.pitch = Math.round(coords[0] * 10) / 10;
+    hotspot.yaw = Math.round(coords[1] * 10) / 10;
+    
+    removeSingleHotspot(hotspotId);
+    addSingleHotspot(JSON.parse(JSON.stringify(hotspot)));
+}
+
 /**
  * Show the modal for adding a new hotspot
  * @param {number} pitch - Vertical position of hotspot
  * @param {number} yaw - Horizontal position of hotspot
  */
 function showAddHotspotModal(pitch, yaw) {
-    pendingHotspot = { pitch, yaw, isEditing: false, editIndex: null };
+    pendingHotspot = { pitch, yaw, isEditing: false, editIndex: null, linked: null };
     
     // Set modal title and button text for adding
     addHotspotModal.querySelector('h3').textContent = 'Add Hotspot';
     document.getElementById('confirmAddHotspot').textContent = 'Add Hotspot';
     
+    // New hotspots start as scene links
+    fillHotspotStyleSelect(null);
+    document.getElementById('hotspotType').value = 'scene';
+    document.getElementById('hotspotUrl').value = '';
+    document.getElementById('hotspotCreateReturn').checked = false;
+    document.getElementById('hotspotReturnPosition').value = 'suggested';
+    document.getElementById('hotspotLinkInfo').textContent = '';
+    fillArrivalFields(null);
+    updateHotspotTypeFields();
+    
     // Pre-populate ID field with intelligent suggestion
     const initialId = generateSceneBasedHotspotId(currentScene);
     document.getElementById('hotspotId').value = initialId;
@@ -1045,6 +1767,7 @@ function showAddHotspotModal(pitch, yaw) {
     document.getElementById('hotspotText').value = '';
     document.getElementById('hotspotPitch').value = pitch.toFixed(1);
     document.getElementById('hotspotYaw').value = yaw.toFixed(1);
+    renderTargetThumbnails();
     
     addHotspotModal.style.display = 'flex';
 }
@@ -1059,7 +1782,8 @@ function showEditHotspotModal(hotspot, index) {
         pitch: hotspot.pitch, 
         yaw: hotspot.yaw, 
         isEditing: true, 
-        editIndex: index 
+        editIndex: index,
+        linked: findLinkedHotspot(hotspot)
     };
     
     // Set modal title and button text for editing
@@ -1083,14 +1807,40 @@ function showEditHotspotModal(hotspot, index) {
     });
     
     // Pre-populate fields with hotspot data
+    fillHotspotStyleSelect(hotspot.cssClass);
+    document.getElementById('hotspotType').value = hotspot.type === 'info' ? 'info' : 'scene';
+    document.getElementById('hotspotUrl').value = hotspot.URL || '';
+    document.getElementById('hotspotCreateReturn').checked = false;
+    document.getElementById('hotspotReturnPosition').value = 'suggested';
+    document.getElementById('hotspotLinkInfo').textContent = pendingHotspot.linked
+        ? `Two-way link with "${pendingHotspot.linked.hotspot.id}" in scene "${pendingHotspot.linked.sceneId}"`
+        : '';
+    fillArrivalFields(hotspot);
+    updateHotspotTypeFields();
     document.getElementById('hotspotText').value = hotspot.text || '';
     targetSelect.value = hotspot.sceneId || '';
     document.getElementById('hotspotPitch').value = hotspot.pitch || 0;
     document.getElementById('hotspotYaw').value = hotspot.yaw || 0;
+    renderTargetThumbnails();
     
     addHotspotModal.style.display = 'flex';
 }
 
+/**
+ * Show the form fields that apply to the selected hotspot type
+ * Scene links need a target scene and can get a return link, info hotspots an optional URL
+ */
+function updateHotspotTypeFields() {
+    const isInfo = document.getElementById('hotspotType').value === 'info';
+    const canCreateReturn = !isInfo && !(pendingHotspot && pendingHotspot.linked);
+    document.getElementById('hotspotTargetGroup').style.display = isInfo ? 'none' : 'block';
+    document.getElementById('hotspotArrivalGroup').style.display = isInfo ? 'none' : 'block';
+    document.getElementById('hotspotReturnGroup').style.display = canCreateReturn ? 'block' : 'none';
+    document.getElementById('hotspotReturnPosition').style.display = document.getElementById('hotspotCreateReturn').checked ? 'block' : 'none';
+    document.getElementById('hotspotUrlGroup').style.display = isInfo ? 'block' : 'none';
+    document.getElementById('hotspotText').placeholder = isInfo ? 'Label or description' : 'Go to...';
+}
+
 /**
  * Hide the hotspot modal dialog
  */
@@ -1112,11 +1862,22 @@ function confirmAddHotspot() {
     let text = document.getElementById('hotspotText').value.trim();
     let hotspotId = document.getElementById('hotspotId').value;
     hotspotId = hotspotId ? hotspotId.trim() : '';
+    const hotspotType = document.getElementById('hotspotType').value;
     const targetScene = document.getElementById('hotspotTarget').value;
+    const hotspotUrl = document.getElementById('hotspotUrl').value.trim();
     const hotspotPitch = parseFloat(document.getElementById('hotspotPitch').value);
     const hotspotYaw = parseFloat(document.getElementById('hotspotYaw').value);
-    
-    if (!targetScene) {
+    const styleValue = document.getElementById('hotspotStyle').value;
+    const linked = pendingHotspot.linked;
+    const createReturn = hotspotType !== 'info' && !linked && document.getElementById('hotspotCreateReturn').checked;
+    const returnPosition = document.getElementById('hotspotReturnPosition').value;
+    
+    if (hotspotType === 'info') {
+        if (!text) {
+            alert('Please enter the text for the info hotspot');
+            return;
+        }
+    } else if (!targetScene) {
         alert('Please select a target scene');
         return;
     }
@@ -1130,33 +1891,61 @@ function confirmAddHotspot() {
     }
     
     // Use scene ID as default if no text provided, but user can override
-    if (!text) {
+    if (!text && hotspotType !== 'info') {
         text = targetScene;  // Default to scene ID
     }
     
     // Auto-generate ID if not provided by user
     if (!hotspotId) {
-        hotspotId = `hs_${currentScene}_${hotspotCounter++}`;
+        hotspotId = `${hotspotType === 'info' ? 'info' : 'hs'}_${currentScene}_${hotspotCounter++}`;
     }
     
-    // Get target scene's initial camera position for targetPitch and targetYaw
-    const targetSceneConfig = tourConfig.scenes[targetScene];
-    const targetPitch = targetSceneConfig ? (targetSceneConfig.pitch || 0) : 0;
-    const targetYaw = targetSceneConfig ? (targetSceneConfig.yaw || 0) : 0;
-    const targetHfov = targetSceneConfig ? (targetSceneConfig.hfov || 100) : 100;
+    let hotspotData;
+    if (hotspotType === 'info') {
+        hotspotData = {
+            pitch: hotspotPitch,
+            yaw: hotspotYaw,
+            type: "info",
+            text: text,
+            id: hotspotId
+        };
+        if (hotspotUrl) {
+            hotspotData.URL = hotspotUrl;
+        }
+    } else {
+        hotspotData = buildSceneHotspotData(targetScene, hotspotPitch, hotspotYaw, text, hotspotId);
+        Object.assign(hotspotData, readArrivalFields());
+    }
     
-    const hotspotData = {
-        pitch: hotspotPitch,
-        yaw: hotspotYaw,
-        type: "scene",
-        text: text,
-        sceneId: targetScene,
-        id: hotspotId,
-        // cssClass: "chs",
-        targetPitch: targetPitch,
-        targetYaw: targetYaw,
-        targetHfov: targetHfov
-    };
+    // Keep properties the form doesn't manage (e.g. cssClass) when editing
+    if (pendingHotspot.isEditing) {
+        const preserved = Object.assign({}, tourConfig.scenes[currentScene].hotSpots[pendingHotspot.editIndex]);
+        ['sceneId', 'targetPitch', 'targetYaw', 'targetHfov', 'targetLocked', 'URL'].forEach(key => delete preserved[key]);
+        if (styleValue !== HOTSPOT_STYLE_KEEP) {
+            delete preserved.cssClass;
+        }
+        hotspotData = Object.assign(preserved, hotspotData);
+    }
+    
+    // Apply the style picked from the tour's library
+    const style = getHotspotStyles().find(entry => entry.id === styleValue);
+    if (style) {
+        hotspotData.cssClass = style.cssClass;
+    }
+    
+    // A two-way link is broken when the hotspot no longer leads back to its return link's scene
+    if (linked && (hotspotType === 'info' || targetScene !== linked.sceneId)) {
+        delete hotspotData.linkedHotspotId;
+    }
+    
+    pushHistory(`${pendingHotspot.isEditing ? 'Edit' : 'Add'} hotspot "${hotspotId}"`);
+    
+    // Keep the return link pointing at this hotspot
+    if (linked && hotspotData.linkedHotspotId) {
+        linked.hotspot.linkedHotspotId = hotspotId;
+    } else if (linked) {
+        delete linked.hotspot.linkedHotspotId;
+    }
     
     if (pendingHotspot.isEditing) {
         // Edit existing hotspot: remove old, add new
@@ -1191,734 +1980,7027 @@ function confirmAddHotspot() {
         }
     }
     
+    if (createReturn && returnPosition !== 'capture') {
+        const position = getReturnHotspotPosition(hotspotData);
+        addReturnHotspot(currentScene, hotspotId, position.pitch, position.yaw);
+    }
+    
     updateHotspotsList();
     hideAddHotspotModal();
+    
+    if (createReturn && returnPosition === 'capture') {
+        startReturnLinkCapture(currentScene, hotspotId);
+    }
+}
+
+/**
+ * Build a scene link hotspot
+ * The viewer arrives at the target scene's initial camera position
+ * @param {string} targetScene - Scene the hotspot links to
+ * @param {number} pitch - Hotspot pitch
+ * @param {number} yaw - Hotspot yaw
+ * @param {string} text - Hotspot text
+ * @param {string} hotspotId - Hotspot ID
+ * @returns {Object} Hotspot configuration
+ */
+function buildSceneHotspotData(targetScene, pitch, yaw, text, hotspotId) {
+    // Get target scene's initial camera position for targetPitch and targetYaw
+    const targetSceneConfig = tourConfig.scenes[targetScene];
+    const targetPitch = targetSceneConfig ? (targetSceneConfig.pitch || 0) : 0;
+    const targetYaw = targetSceneConfig ? (targetSceneConfig.yaw || 0) : 0;
+    const targetHfov = targetSceneConfig ? (targetSceneConfig.hfov || 100) : 100;
+    
+    return {
+        pitch: pitch,
+        yaw: yaw,
+        type: "scene",
+        text: text,
+        sceneId: targetScene,
+        id: hotspotId,
+        targetPitch: targetPitch,
+        targetYaw: targetYaw,
+        targetHfov: targetHfov
+    };
 }
 
 /**
  * ===================================================================
- * SCENE UTILITY FUNCTIONS
+ * HOTSPOT BULK ACTIONS
  * ===================================================================
  */
 /**
- * Rename a scene and update all references
- * @param {string} oldSceneId - Current scene ID
- * @param {string} newSceneId - New scene ID
- * @returns {boolean} Success status
+ * Get the selected hotspots of the current scene in list order
+ * @returns {Array<Object>} Selected hotspot configurations
  */
-function renameScene(oldSceneId, newSceneId) {
-    // Validation
-    if (!newSceneId || newSceneId.trim() === '') {
-        alert('Scene ID cannot be empty');
-        return false;
-    }
+function getSelectedHotspots() {
+    if (!currentScene) return [];
+    return (tourConfig.scenes[currentScene].hotSpots || []).filter(hotspot => selectedHotspots.has(hotspot));
+}
+
+/**
+ * Tick or untick a hotspot in the list
+ * With Shift, every hotspot between the last ticked one and this one gets the same state
+ * @param {number} index - Index of the hotspot in the current scene
+ * @param {boolean} selected - New state
+ * @param {boolean} extendRange - True when Shift was held
+ */
+function toggleHotspotSelection(index, selected, extendRange) {
+    const hotspots = tourConfig.scenes[currentScene].hotSpots || [];
+    const lastIndex = hotspots.indexOf(lastSelectedHotspot);
+    const start = extendRange && lastIndex !== -1 ? Math.min(lastIndex, index) : index;
+    const end = extendRange && lastIndex !== -1 ? Math.max(lastIndex, index) : index;
     
-    // Sanitize scene ID (allow only alphanumeric, underscore, and hyphen)
-    if (!/^[a-zA-Z0-9_-]+$/.test(newSceneId)) {
-        alert('Scene ID can only contain letters, numbers, underscores, and hyphens');
-        return false;
+    for (let i = start; i <= end; i++) {
+        if (selected) {
+            selectedHotspots.add(hotspots[i]);
+        } else {
+            selectedHotspots.delete(hotspots[i]);
+        }
     }
+    lastSelectedHotspot = hotspots[index];
     
-    if (oldSceneId === newSceneId) {
-        return true; // No change needed
-    }
+    updateHotspotsList();
+}
+
+/**
+ * Tick or untick all hotspots of the current scene
+ * @param {boolean} selected - New state
+ */
+function selectAllHotspots(selected) {
+    selectedHotspots = new Set(selected && currentScene ? tourConfig.scenes[currentScene].hotSpots || [] : []);
+    lastSelectedHotspot = null;
+    updateHotspotsList();
+}
+
+/**
+ * Show the bulk action bar for the selected hotspots with the fields of the chosen action
+ */
+function renderHotspotBulkBar() {
+    const selected = getSelectedHotspots();
+    const total = currentScene ? (tourConfig.scenes[currentScene].hotSpots || []).length : 0;
+    const selectAll = document.getElementById('selectAllHotspots');
+    selectAll.checked = total > 0 && selected.length === total;
+    selectAll.indeterminate = selected.length > 0 && selected.length < total;
+    selectAll.disabled = total === 0;
+    
+    document.getElementById('hotspotBulkBar').style.display = selected.length > 0 ? 'block' : 'none';
+    document.getElementById('hotspotBulkCount').textContent = `${selected.length} hotspot${selected.length === 1 ? '' : 's'} selected`;
+    
+    const action = document.getElementById('hotspotBulkAction').value;
+    const sceneSelectEl = document.getElementById('hotspotBulkScene');
+    const styleSelectEl = document.getElementById('hotspotBulkStyle');
+    
+    // Other scenes, keeping the current choice
+    const sceneValue = sceneSelectEl.value;
+    sceneSelectEl.innerHTML = '<option value="">Select scene...</option>';
+    Object.keys(tourConfig.scenes).filter(sceneId => sceneId !== currentScene).forEach(sceneId => {
+        const option = document.createElement('option');
+        option.value = sceneId;
+        option.textContent = sceneId;
+        sceneSelectEl.appendChild(option);
+    });
+    sceneSelectEl.value = tourConfig.scenes[sceneValue] && sceneValue !== currentScene ? sceneValue : '';
+    
+    const styleValue = styleSelectEl.value;
+    styleSelectEl.innerHTML = '<option value="">Default (Pannellum)</option>';
+    getHotspotStyles().forEach(style => {
+        const option = document.createElement('option');
+        option.value = style.id;
+        option.textContent = style.name;
+        styleSelectEl.appendChild(option);
+    });
+    styleSelectEl.value = getHotspotStyles().some(style => style.id === styleValue) ? styleValue : '';
     
-    if (tourConfig.scenes[newSceneId]) {
-        alert('A scene with this ID already exists');
-        return false;
-    }
+    const usesScene = ['retarget', 'move', 'copy'].includes(action);
+    sceneSelectEl.style.display = usesScene ? 'block' : 'none';
+    document.getElementById('hotspotBulkText').style.display = action === 'text' ? 'block' : 'none';
+    document.getElementById('hotspotBulkTextHelp').style.display = action === 'text' ? 'block' : 'none';
+    styleSelectEl.style.display = action === 'style' ? 'block' : 'none';
+}
+
+/**
+ * Run the chosen bulk action on the selected hotspots
+ */
+function applyHotspotBulkAction() {
+    const hotspots = getSelectedHotspots();
+    if (hotspots.length === 0) return;
     
-    // Confirm rename
-    if (!confirm(`Are you sure you want to rename scene "${oldSceneId}" to "${newSceneId}"? All hotspot references will be updated.`)) {
-        return false;
+    const action = document.getElementById('hotspotBulkAction').value;
+    const targetScene = document.getElementById('hotspotBulkScene').value;
+    
+    if (['retarget', 'move', 'copy'].includes(action) && !targetScene) {
+        alert('Please select a target scene');
+        return;
     }
     
-    // Update scenes object - preserve order by rebuilding
-    const updatedScenes = {};
-    for (const [key, value] of Object.entries(tourConfig.scenes)) {
-        if (key === oldSceneId) {
-            updatedScenes[newSceneId] = value;
-        } else {
-            updatedScenes[key] = value;
-        }
+    switch (action) {
+        case 'retarget':
+            retargetHotspots(hotspots, targetScene);
+            break;
+        case 'text':
+            setHotspotTexts(hotspots, document.getElementById('hotspotBulkText').value.trim());
+            break;
+        case 'style':
+            applyStyleToHotspots(hotspots, document.getElementById('hotspotBulkStyle').value);
+            break;
+        case 'move':
+        case 'copy':
+            transferHotspots(hotspots, targetScene, action === 'copy');
+            break;
+        case 'delete':
+            deleteHotspots(hotspots);
+            break;
     }
-    tourConfig.scenes = updatedScenes;
+}
+
+/**
+ * Replace the given scenes in the viewer with their current configuration
+ * Lets a bulk action update the preview once instead of once per hotspot
+ * @param {Array<string>} sceneIds - Scenes whose hotspots changed
+ */
+function syncViewerScenes(sceneIds) {
+    if (!viewer) return;
     
-    // Update all hotspot references in all scenes
-    let hotspotUpdateCount = 0;
-    Object.values(tourConfig.scenes).forEach(scene => {
-        if (scene.hotSpots && scene.hotSpots.length > 0) {
-            scene.hotSpots.forEach(hotspot => {
-                if (hotspot.sceneId === oldSceneId) {
-                    hotspot.sceneId = newSceneId;
-                    // DO NOT touch hotspot.text - leave it as user set it
-                    hotspotUpdateCount++;
-                }
-            });
-        }
+    new Set(sceneIds).forEach(sceneId => {
+        if (sceneId === currentScene || !tourConfig.scenes[sceneId]) return;
+        const sceneCopy = JSON.parse(JSON.stringify(tourConfig.scenes[sceneId]));
+        viewer.addScene(sceneId, prepareViewerScene(sceneCopy));
     });
     
-    // Update scene order array
-    const orderIndex = tourConfig.default.sceneOrder.indexOf(oldSceneId);
-    if (orderIndex > -1) {
-        tourConfig.default.sceneOrder[orderIndex] = newSceneId;
+    if (sceneIds.includes(currentScene)) {
+        updateViewerHotspots();
     }
-    
-    // Update first scene if it matches
-    if (tourConfig.default.firstScene === oldSceneId) {
-        tourConfig.default.firstScene = newSceneId;
+}
+
+/**
+ * Remove the two-way link between a hotspot and its return link
+ * @param {Object} hotspot - Hotspot configuration
+ */
+function unlinkHotspot(hotspot) {
+    const linked = findLinkedHotspot(hotspot);
+    if (linked) {
+        delete linked.hotspot.linkedHotspotId;
     }
-    
-    // Update current scene variable
-    if (currentScene === oldSceneId) {
-        currentScene = newSceneId;
+    delete hotspot.linkedHotspotId;
+}
+
+/**
+ * Point the selected scene links at another scene
+ * Arrival views are reset to the new scene's initial view and two-way links are removed
+ * @param {Array<Object>} hotspots - Selected hotspots
+ * @param {string} targetScene - New target scene
+ */
+function retargetHotspots(hotspots, targetScene) {
+    const sceneLinks = hotspots.filter(hotspot => hotspot.type !== 'info');
+    if (sceneLinks.length === 0) {
+        alert('None of the selected hotspots is a scene link');
+        return;
     }
     
-    // Handle viewer update
-    if (viewer) {
-        try {
-            const wasCurrentScene = (viewer.getScene && viewer.getScene() === oldSceneId);
-            viewer.removeScene(oldSceneId);
-            // Pass a deep copy to prevent Pannellum from modifying our config
-            const sceneCopy = JSON.parse(JSON.stringify(tourConfig.scenes[newSceneId]));
-            viewer.addScene(newSceneId, sceneCopy);
-            if (wasCurrentScene) {
-                viewer.loadScene(newSceneId);
-            }
-        } catch (error) {
-            console.error('Error renaming scene in viewer:', error);
-            initializeViewer();
+    pushHistory(`Link ${sceneLinks.length} hotspot(s) to "${targetScene}"`);
+    sceneLinks.forEach(hotspot => {
+        const target = buildSceneHotspotData(targetScene, hotspot.pitch, hotspot.yaw, hotspot.text, hotspot.id);
+        
+        // Hotspots still labelled with the old scene ID follow the new target
+        if (hotspot.text === hotspot.sceneId) {
+            hotspot.text = targetScene;
         }
+        
+        unlinkHotspot(hotspot);
+        delete hotspot.targetLocked;
+        Object.assign(hotspot, {
+            sceneId: target.sceneId,
+            targetPitch: target.targetPitch,
+            targetYaw: target.targetYaw,
+            targetHfov: target.targetHfov
+        });
+    });
+    
+    syncViewerScenes([currentScene]);
+    updateHotspotsList();
+}
+
+/**
+ * Set the text of the selected hotspots from a pattern
+ * {text} is the current text, {scene} the target scene's title or ID and {n} the position in the selection
+ * @param {Array<Object>} hotspots - Selected hotspots
+ * @param {string} pattern - Text pattern
+ */
+function setHotspotTexts(hotspots, pattern) {
+    if (!pattern) {
+        alert('Please enter the text for the hotspots');
+        return;
     }
     
-    // Refresh all UI elements
-    updateSceneDropdowns();
-    renderSceneOrderList();
+    pushHistory(`Set text of ${hotspots.length} hotspot(s)`);
+    hotspots.forEach((hotspot, index) => {
+        const targetScene = hotspot.type !== 'info' ? tourConfig.scenes[hotspot.sceneId] : null;
+        const text = pattern
+            .replace(/\{text\}/g, hotspot.text || '')
+            .replace(/\{scene\}/g, targetScene ? (targetScene.title || hotspot.sceneId) : '')
+            .replace(/\{n\}/g, String(index + 1))
+            .trim();
+        
+        // Info hotspots need a text, so an empty result keeps the old one
+        if (text) {
+            hotspot.text = text;
+        }
+    });
     
-    // Re-select the renamed scene
-    sceneSelect.value = newSceneId;
-    selectScene();
+    syncViewerScenes([currentScene]);
+    updateHotspotsList();
+}
+
+/**
+ * Give the selected hotspots a style from the library, or Pannellum's default look
+ * @param {Array<Object>} hotspots - Selected hotspots
+ * @param {string} styleId - Style ID, empty for the default look
+ */
+function applyStyleToHotspots(hotspots, styleId) {
+    const style = getHotspotStyles().find(entry => entry.id === styleId);
     
+    pushHistory(`Apply style "${style ? style.name : 'Default'}" to ${hotspots.length} hotspot(s)`);
+    hotspots.forEach(hotspot => {
+        if (style) {
+            hotspot.cssClass = style.cssClass;
+        } else {
+            delete hotspot.cssClass;
+        }
+    });
     
-    return true;
+    syncViewerScenes([currentScene]);
+    updateHotspotsList();
 }
 
 /**
- * Update hotspot target references when scene properties change
- * @param {string} targetSceneId - Scene ID to update references for
- * @param {Object} updates - Properties to update (targetPitch, targetYaw, targetHfov)
- * @returns {number} Number of hotspots updated
+ * Move or copy the selected hotspots to another scene at the same position
+ * Scene links to the target scene itself are left out; copies get new IDs and no two-way link
+ * @param {Array<Object>} hotspots - Selected hotspots
+ * @param {string} targetScene - Scene to move or copy the hotspots to
+ * @param {boolean} copy - True to copy, false to move
  */
-function updateHotspotReferences(targetSceneId, updates) {
-    let updateCount = 0;
+function transferHotspots(hotspots, targetScene, copy) {
+    const transferable = hotspots.filter(hotspot => hotspot.type === 'info' || hotspot.sceneId !== targetScene);
+    if (transferable.length === 0) {
+        alert(`The selected hotspots all link to "${targetScene}" and can't be placed in that scene`);
+        return;
+    }
+    if (transferable.length < hotspots.length &&
+        !confirm(`${hotspots.length - transferable.length} selected hotspot(s) link to "${targetScene}" and will stay in "${currentScene}". Continue?`)) {
+        return;
+    }
     
-    Object.entries(tourConfig.scenes).forEach(([sceneId, scene]) => {
-        if (scene.hotSpots && scene.hotSpots.length > 0) {
-            scene.hotSpots.forEach((hotspot, index) => {
-                if (hotspot.sceneId === targetSceneId) {
-                    // DO NOT UPDATE TEXT - leave hotspot.text as is
-                    
-                    // Update target position and HFOV
-                    if (updates.targetPitch !== undefined) {
-                        hotspot.targetPitch = updates.targetPitch;
-                    }
-                    if (updates.targetYaw !== undefined) {
-                        hotspot.targetYaw = updates.targetYaw;
-                    }
-                    if (updates.targetHfov !== undefined) {
-                        hotspot.targetHfov = updates.targetHfov;
-                    }
-                    updateCount++;
-                }
-            });
+    pushHistory(`${copy ? 'Copy' : 'Move'} ${transferable.length} hotspot(s) to "${targetScene}"`);
+    const target = tourConfig.scenes[targetScene];
+    target.hotSpots = target.hotSpots || [];
+    
+    transferable.forEach(hotspot => {
+        let moved = hotspot;
+        if (copy) {
+            moved = JSON.parse(JSON.stringify(hotspot));
+            delete moved.linkedHotspotId;
+            do {
+                moved.id = `${moved.type === 'info' ? 'info' : 'hs'}_${targetScene}_${hotspotCounter++}`;
+            } while (!validateHotspotId(moved.id, targetScene).isValid);
+        } else {
+            unlinkHotspot(hotspot);
+            const sourceHotspots = tourConfig.scenes[currentScene].hotSpots;
+            sourceHotspots.splice(sourceHotspots.indexOf(hotspot), 1);
         }
+        target.hotSpots.push(moved);
     });
     
-    return updateCount;
+    syncViewerScenes(copy ? [targetScene] : [currentScene, targetScene]);
+    updateHotspotsList();
 }
 
+/**
+ * Delete the selected hotspots
+ * Asks once whether the return links of two-way links should be deleted too
+ * @param {Array<Object>} hotspots - Selected hotspots
+ */
+function deleteHotspots(hotspots) {
+    if (!confirm(`Are you sure you want to delete ${hotspots.length} hotspot(s)?`)) {
+        return;
+    }
+    
+    const linkedHotspots = hotspots.map(findLinkedHotspot).filter(linked => linked && !hotspots.includes(linked.hotspot));
+    const deleteLinked = linkedHotspots.length > 0 &&
+        confirm(`${linkedHotspots.length} of them have return links in other scenes. Delete the return links too?`);
+    
+    pushHistory(`Delete ${hotspots.length} hotspot(s)`);
+    const changedScenes = [currentScene];
+    
+    linkedHotspots.forEach(linked => {
+        if (deleteLinked) {
+            const sceneHotspots = tourConfig.scenes[linked.sceneId].hotSpots;
+            sceneHotspots.splice(sceneHotspots.indexOf(linked.hotspot), 1);
+            changedScenes.push(linked.sceneId);
+        } else {
+            delete linked.hotspot.linkedHotspotId;
+        }
+    });
+    
+    tourConfig.scenes[currentScene].hotSpots = tourConfig.scenes[currentScene].hotSpots.filter(hotspot => !hotspots.includes(hotspot));
+    
+    syncViewerScenes(changedScenes);
+    updateHotspotsList();
+}
 
 /**
  * ===================================================================
- * SCENE ORDER MANAGEMENT
+ * TOUR SEARCH
  * ===================================================================
  */
 /**
- * Initialize scene order array if not present
+ * Find scenes and hotspots matching a search text
+ * Scenes match on ID and title, hotspots on text, ID and target scene
+ * @param {string} query - Search text, matched case-insensitively
+ * @returns {Array<Object>} Groups of {sceneId, scene, sceneMatches, hotspots}, where hotspots are {hotspot, index}
  */
-function initializeSceneOrder() {
-    if (!tourConfig.default.sceneOrder || tourConfig.default.sceneOrder.length === 0) {
-        tourConfig.default.sceneOrder = Object.keys(tourConfig.scenes);
-    }
+function searchTour(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+    
+    const matches = value => value !== undefined && value !== null && String(value).toLowerCase().includes(needle);
+    const groups = [];
+    
+    Object.keys(tourConfig.scenes).forEach(sceneId => {
+        const scene = tourConfig.scenes[sceneId];
+        const hotspots = [];
+        (scene.hotSpots || []).forEach((hotspot, index) => {
+            if (matches(hotspot.text) || matches(hotspot.id) || (hotspot.type !== 'info' && matches(hotspot.sceneId))) {
+                hotspots.push({ hotspot: hotspot, index: index });
+            }
+        });
+        
+        const sceneMatches = matches(sceneId) || matches(scene.title);
+        if (sceneMatches || hotspots.length > 0) {
+            groups.push({ sceneId: sceneId, scene: scene, sceneMatches: sceneMatches, hotspots: hotspots });
+        }
+    });
+    
+    return groups;
 }
 
 /**
- * Render the draggable scene order list
+ * Show the results of the search box grouped by scene
  */
-function renderSceneOrderList() {
-    const container = document.getElementById('sceneOrderList');
-    if (!container) return;
-    
+function renderSearchResults() {
+    const container = document.getElementById('searchResults');
+    const query = document.getElementById('tourSearch').value;
     container.innerHTML = '';
+    if (!query.trim()) return;
+    
+    const groups = searchTour(query);
+    if (groups.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'search-empty';
+        empty.textContent = 'No scenes or hotspots found';
+        container.appendChild(empty);
+        return;
+    }
     
-    tourConfig.default.sceneOrder.forEach((sceneId, index) => {
-        if (!tourConfig.scenes[sceneId]) return;
+    groups.forEach(group => {
+        const groupEl = document.createElement('div');
+        groupEl.className = 'search-group';
         
-        const item = document.createElement('div');
-        item.className = 'scene-order-item';
-        item.draggable = true;
-        item.dataset.sceneId = sceneId;
+        const sceneButton = document.createElement('button');
+        sceneButton.className = 'search-scene';
+        sceneButton.innerHTML = `${escapeHtml(group.sceneId)}${group.scene.title ? ` <small>${escapeHtml(group.scene.title)}</small>` : ''}`;
+        sceneButton.addEventListener('click', () => showSearchResult(group.sceneId, null));
+        groupEl.appendChild(sceneButton);
         
-        item.innerHTML = `
-            <span class="drag-handle">≡</span>
-            <span class="scene-name">${sceneId}${currentScene === sceneId ? ' (active)' : ''}</span>
-            <div class="scene-controls">
-                <button class="btn-order-up" ${index === 0 ? 'disabled' : ''}>↑</button>
-                <button class="btn-order-down" ${index === tourConfig.default.sceneOrder.length - 1 ? 'disabled' : ''}>↓</button>
-            </div>
-        `;
+        group.hotspots.forEach(result => {
+            const hotspot = result.hotspot;
+            const button = document.createElement('button');
+            button.className = 'search-hotspot';
+            button.innerHTML = `${escapeHtml(hotspot.text || '')} ${hotspot.type === 'info' ? '<span class="hotspot-type-badge">info</span>' : `→ ${escapeHtml(hotspot.sceneId)}`}` +
+                (hotspot.id ? ` <small>${escapeHtml(hotspot.id)}</small>` : '');
+            button.addEventListener('click', () => showSearchResult(group.sceneId, hotspot));
+            groupEl.appendChild(button);
+        });
         
-        // Add drag event listeners
-        item.addEventListener('dragstart', handleDragStart);
-        item.addEventListener('dragover', handleDragOver);
-        item.addEventListener('drop', handleDrop);
-        item.addEventListener('dragend', handleDragEnd);
-        item.addEventListener('dragenter', handleDragEnter);
-        item.addEventListener('dragleave', handleDragLeave);
-        
-        // Add button event listeners
-        const upBtn = item.querySelector('.btn-order-up');
-        const downBtn = item.querySelector('.btn-order-down');
-        
-        upBtn.addEventListener('click', () => moveScene(sceneId, 'up'));
-        downBtn.addEventListener('click', () => moveScene(sceneId, 'down'));
-        
-        container.appendChild(item);
+        container.appendChild(groupEl);
     });
 }
 
 /**
- * Reorder scenes according to new order array
- * @param {Array<string>} newOrder - New scene order
+ * Select the scene of a search result and point the camera at the hotspot
+ * When the scene changes, the camera turns once the panorama has loaded
+ * @param {string} sceneId - Scene of the result
+ * @param {Object|null} hotspot - Hotspot of the result, or null for the scene itself
  */
-function reorderScenes(newOrder) {
-    // Update the order array
-    tourConfig.default.sceneOrder = newOrder;
-    
-    // Rebuild scenes object in new order
-    const reorderedScenes = {};
-    newOrder.forEach(sceneId => {
-        if (tourConfig.scenes[sceneId]) {
-            reorderedScenes[sceneId] = tourConfig.scenes[sceneId];
-        }
-    });
-    tourConfig.scenes = reorderedScenes;
+function showSearchResult(sceneId, hotspot) {
+    if (!tourConfig.scenes[sceneId]) return;
     
-    // Update navigation index for arrow buttons to work correctly
-    if (viewer) {
-        try {
-            const activeScene = viewer.getScene();
-            if (activeScene) {
-                updateNavigationIndex(activeScene);
-            }
-        } catch (error) {
-            // If we can't get active scene from viewer, use currentScene
-            if (currentScene) {
-                updateNavigationIndex(currentScene);
-            }
+    if (sceneId !== currentScene) {
+        sceneSelect.value = sceneId;
+        selectScene();
+        
+        if (hotspot && viewer) {
+            const lookAtHotspot = () => {
+                viewer.off('load', lookAtHotspot);
+                if (currentScene === sceneId) {
+                    previewHotspotLocation(hotspot);
+                }
+            };
+            viewer.on('load', lookAtHotspot);
         }
+        return;
     }
     
-    // Update UI
-    renderSceneOrderList();
-    updateSceneDropdowns();
-}
-
-/**
- * Move a scene up or down in the order
- * @param {string} sceneId - Scene to move
- * @param {string} direction - 'up' or 'down'
- */
-function moveScene(sceneId, direction) {
-    const currentIndex = tourConfig.default.sceneOrder.indexOf(sceneId);
-    if (currentIndex === -1) return;
-    
-    const newOrder = [...tourConfig.default.sceneOrder];
-    
-    if (direction === 'up' && currentIndex > 0) {
-        // Swap with previous item
-        [newOrder[currentIndex - 1], newOrder[currentIndex]] = 
-        [newOrder[currentIndex], newOrder[currentIndex - 1]];
-    } else if (direction === 'down' && currentIndex < newOrder.length - 1) {
-        // Swap with next item
-        [newOrder[currentIndex], newOrder[currentIndex + 1]] = 
-        [newOrder[currentIndex + 1], newOrder[currentIndex]];
+    if (hotspot) {
+        previewHotspotLocation(hotspot);
     }
-    
-    reorderScenes(newOrder);
 }
 
 /**
  * ===================================================================
- * DRAG AND DROP HANDLERS
+ * ARRIVAL VIEWS
  * ===================================================================
  */
 /**
- * Handle drag start for scene reordering
+ * Get how a scene link sets the view in its target scene
+ * Unlocked hotspots follow the target scene's initial view when it is captured
+ * @param {Object|null} hotspot - Scene link hotspot
+ * @returns {string} 'scene', 'custom', 'same' or 'sameAzimuth'
  */
-function handleDragStart(e) {
-    draggedSceneId = e.currentTarget.dataset.sceneId;
-    e.currentTarget.classList.add('dragging');
-    e.dataTransfer.effectAllowed = 'move';
+function getArrivalMode(hotspot) {
+    if (!hotspot || !hotspot.targetLocked) return 'scene';
+    if (hotspot.targetYaw === 'sameAzimuth') return 'sameAzimuth';
+    if (hotspot.targetYaw === 'same') return 'same';
+    return 'custom';
 }
 
 /**
- * Handle drag over event
+ * Describe a hotspot's arrival view for the hotspot list
+ * @param {Object} hotspot - Scene link hotspot
+ * @returns {string} Short description
  */
-function handleDragOver(e) {
-    if (e.preventDefault) {
-        e.preventDefault();
-    }
-    e.dataTransfer.dropEffect = 'move';
-    return false;
+function describeArrivalView(hotspot) {
+    const mode = getArrivalMode(hotspot);
+    if (mode === 'same') return 'same view';
+    if (mode === 'sameAzimuth') return 'same compass direction';
+    return `${(hotspot.targetPitch || 0).toFixed(1)}°, ${(hotspot.targetYaw || 0).toFixed(1)}°`;
 }
 
 /**
- * Handle drag enter event
+ * Fill the arrival view fields of the hotspot modal
+ * @param {Object|null} hotspot - Hotspot being edited, or null for a new hotspot
  */
-function handleDragEnter(e) {
-    if (e.currentTarget.dataset.sceneId !== draggedSceneId) {
-        e.currentTarget.classList.add('drag-over');
-    }
+function fillArrivalFields(hotspot) {
+    const mode = getArrivalMode(hotspot);
+    const targetScene = hotspot ? tourConfig.scenes[hotspot.sceneId] : null;
+    const view = mode === 'custom' ? hotspot : {
+        targetPitch: targetScene ? (targetScene.pitch || 0) : 0,
+        targetYaw: targetScene ? (targetScene.yaw || 0) : 0,
+        targetHfov: targetScene ? (targetScene.hfov || 100) : 100
+    };
+    
+    document.getElementById('hotspotArrivalMode').value = mode;
+    document.getElementById('hotspotTargetPitch').value = view.targetPitch || 0;
+    document.getElementById('hotspotTargetYaw').value = view.targetYaw || 0;
+    document.getElementById('hotspotTargetHfov').value = view.targetHfov || 100;
+    updateArrivalFields();
 }
 
 /**
- * Handle drag leave event
+ * Show the custom arrival view inputs only for the custom mode
  */
-function handleDragLeave(e) {
-    e.currentTarget.classList.remove('drag-over');
+function updateArrivalFields() {
+    const isCustom = document.getElementById('hotspotArrivalMode').value === 'custom';
+    document.getElementById('hotspotArrivalFields').style.display = isCustom ? 'flex' : 'none';
 }
 
 /**
- * Handle drop event for scene reordering
+ * Start a custom arrival view from the selected target scene's initial view
  */
-function handleDrop(e) {
-    if (e.stopPropagation) {
-        e.stopPropagation();
+function handleArrivalModeChange() {
+    const targetScene = tourConfig.scenes[document.getElementById('hotspotTarget').value];
+    const hotspot = pendingHotspot && pendingHotspot.isEditing
+        ? tourConfig.scenes[currentScene].hotSpots[pendingHotspot.editIndex]
+        : null;
+    
+    if (document.getElementById('hotspotArrivalMode').value === 'custom' && getArrivalMode(hotspot) !== 'custom' && targetScene) {
+        document.getElementById('hotspotTargetPitch').value = targetScene.pitch || 0;
+        document.getElementById('hotspotTargetYaw').value = targetScene.yaw || 0;
+        document.getElementById('hotspotTargetHfov').value = targetScene.hfov || 100;
     }
     
-    const targetSceneId = e.currentTarget.dataset.sceneId;
+    updateArrivalFields();
+}
+
+/**
+ * Read the arrival view from the hotspot modal
+ * @returns {Object} Target properties for a locked arrival view, or an empty object to use the scene's view
+ */
+function readArrivalFields() {
+    const mode = document.getElementById('hotspotArrivalMode').value;
     
-    if (draggedSceneId && targetSceneId && draggedSceneId !== targetSceneId) {
-        const newOrder = [...tourConfig.default.sceneOrder];
-        const draggedIndex = newOrder.indexOf(draggedSceneId);
-        const targetIndex = newOrder.indexOf(targetSceneId);
-        
-        if (draggedIndex > -1 && targetIndex > -1) {
-            // Remove dragged item
-            newOrder.splice(draggedIndex, 1);
-            // Insert at new position
-            newOrder.splice(targetIndex, 0, draggedSceneId);
-            
-            reorderScenes(newOrder);
-        }
+    if (mode === 'same' || mode === 'sameAzimuth') {
+        return { targetPitch: 'same', targetYaw: mode, targetHfov: 'same', targetLocked: true };
+    }
+    if (mode === 'custom') {
+        return {
+            targetPitch: parseFloat(document.getElementById('hotspotTargetPitch').value) || 0,
+            targetYaw: parseFloat(document.getElementById('hotspotTargetYaw').value) || 0,
+            targetHfov: parseFloat(document.getElementById('hotspotTargetHfov').value) || 100,
+            targetLocked: true
+        };
+    }
+    return {};
+}
+
+/**
+ * Show or hide the offer to capture the arrival view after following a link in the preview
+ * @param {string|null} sceneId - Scene the preview arrived in, or null to hide the offer
+ */
+function updateArrivalNotice(sceneId) {
+    const notice = document.getElementById('arrivalNotice');
+    
+    if (!followedHotspot || followedHotspot.targetScene !== sceneId) {
+        followedHotspot = null;
+        notice.style.display = 'none';
+        return;
     }
     
-    return false;
+    document.getElementById('arrivalNoticeText').textContent =
+        `Arrived through "${followedHotspot.hotspotId}" from "${followedHotspot.sceneId}"`;
+    notice.style.display = 'flex';
 }
 
 /**
- * Clean up after drag operation
+ * Save the preview's current view as the arrival view of the followed link and lock it
  */
-function handleDragEnd(e) {
-    // Clean up
-    document.querySelectorAll('.scene-order-item').forEach(item => {
-        item.classList.remove('dragging', 'drag-over');
-    });
-    draggedSceneId = null;
+function captureArrivalView() {
+    if (!followedHotspot || !viewer) return;
+    
+    const sceneId = followedHotspot.sceneId;
+    const scene = tourConfig.scenes[sceneId];
+    const hotspot = scene && (scene.hotSpots || []).find(h => h.id === followedHotspot.hotspotId);
+    updateArrivalNotice(null);
+    if (!hotspot) return;
+    
+    pushHistory(`Capture arrival view for "${hotspot.id}"`);
+    hotspot.targetPitch = viewer.getPitch();
+    hotspot.targetYaw = viewer.getYaw();
+    hotspot.targetHfov = viewer.getHfov();
+    hotspot.targetLocked = true;
+    
+    // Replace the viewer's copy so following the link uses the new view
+    removeSingleHotspot(hotspot.id, sceneId);
+    addSingleHotspot(JSON.parse(JSON.stringify(hotspot)), sceneId);
 }
 
 /**
- * Hotspot drag and drop handlers
+ * ===================================================================
+ * RETURN LINKS
+ * ===================================================================
  */
 /**
- * Handle drag start for hotspot reordering
+ * Find the other side of a two-way link
+ * Linked hotspots store each other's ID in linkedHotspotId
+ * @param {Object} hotspot - Scene link hotspot
+ * @returns {{sceneId: string, index: number, hotspot: Object}|null} Return link, or null if the hotspot isn't linked
  */
-function handleHotspotDragStart(e) {
-    draggedHotspotIndex = parseInt(e.currentTarget.dataset.hotspotIndex);
-    e.currentTarget.classList.add('dragging');
-    e.dataTransfer.effectAllowed = 'move';
+function findLinkedHotspot(hotspot) {
+    if (!hotspot || !hotspot.linkedHotspotId || !tourConfig.scenes[hotspot.sceneId]) return null;
+    
+    const hotspots = tourConfig.scenes[hotspot.sceneId].hotSpots || [];
+    const index = hotspots.findIndex(h => h.id === hotspot.linkedHotspotId);
+    if (index === -1) return null;
+    
+    return { sceneId: hotspot.sceneId, index: index, hotspot: hotspots[index] };
 }
 
 /**
- * Handle drag over for hotspots
+ * Suggest where the return link of a hotspot goes in its target scene
+ * Visitors usually came from behind the view they arrive with, so it is placed opposite the arrival yaw
+ * ("same" and "sameAzimuth" keep roughly the direction of the hotspot itself)
+ * @param {Object} hotspot - Scene link hotspot
+ * @returns {{pitch: number, yaw: number}} Suggested return link position
  */
-function handleHotspotDragOver(e) {
-    if (e.preventDefault) {
-        e.preventDefault();
-    }
-    e.dataTransfer.dropEffect = 'move';
-    return false;
+function getReturnHotspotPosition(hotspot) {
+    const arrivalYaw = typeof hotspot.targetYaw === 'number' ? hotspot.targetYaw : (hotspot.yaw || 0);
+    const yaw = (arrivalYaw + 360) % 360 - 180;
+    return {
+        pitch: hotspot.pitch || 0,
+        yaw: Math.round(yaw * 10) / 10
+    };
 }
 
 /**
- * Handle drag enter for hotspots
+ * Add a hotspot in a scene link's target scene that leads back, and link the pair
+ * The caller records the history entry
+ * @param {string} sceneId - Scene containing the hotspot
+ * @param {string} hotspotId - ID of the hotspot to add a return link for
+ * @param {number} pitch - Return link pitch in the target scene
+ * @param {number} yaw - Return link yaw in the target scene
+ * @returns {Object|null} Return link hotspot, or null if the hotspot no longer exists
  */
-function handleHotspotDragEnter(e) {
-    const targetIndex = parseInt(e.currentTarget.dataset.hotspotIndex);
-    if (targetIndex !== draggedHotspotIndex) {
-        e.currentTarget.classList.add('drag-over');
+function addReturnHotspot(sceneId, hotspotId, pitch, yaw) {
+    const scene = tourConfig.scenes[sceneId];
+    const hotspot = scene && (scene.hotSpots || []).find(h => h.id === hotspotId);
+    if (!hotspot || !tourConfig.scenes[hotspot.sceneId]) return null;
+    
+    const returnData = buildSceneHotspotData(sceneId, pitch, yaw, sceneId, generateSceneBasedHotspotId(sceneId));
+    returnData.linkedHotspotId = hotspot.id;
+    hotspot.linkedHotspotId = returnData.id;
+    
+    // Add to config and viewer (separate copies to prevent reference issues)
+    tourConfig.scenes[hotspot.sceneId].hotSpots.push(JSON.parse(JSON.stringify(returnData)));
+    if (viewer) {
+        addSingleHotspot(JSON.parse(JSON.stringify(returnData)), hotspot.sceneId);
     }
+    
+    return returnData;
 }
 
 /**
- * Handle drag leave for hotspots
+ * Open a hotspot's target scene so its return link can be placed with Cmd/Ctrl+click
+ * @param {string} sceneId - Scene containing the hotspot
+ * @param {string} hotspotId - ID of the hotspot that needs a return link
  */
-function handleHotspotDragLeave(e) {
-    e.currentTarget.classList.remove('drag-over');
+function startReturnLinkCapture(sceneId, hotspotId) {
+    const hotspot = (tourConfig.scenes[sceneId].hotSpots || []).find(h => h.id === hotspotId);
+    if (!hotspot) return;
+    
+    pendingReturnLink = { sceneId: sceneId, hotspotId: hotspotId, targetScene: hotspot.sceneId };
+    document.getElementById('returnLinkNoticeText').textContent =
+        `Cmd/Ctrl + Click in "${hotspot.sceneId}" to place the return link to "${sceneId}"`;
+    document.getElementById('returnLinkNotice').style.display = 'flex';
+    
+    sceneSelect.value = hotspot.sceneId;
+    selectScene();
 }
 
 /**
- * Handle drop event for hotspot reordering
+ * Place the pending return link at a clicked position in the target scene
+ * @param {number} pitch - Clicked pitch
+ * @param {number} yaw - Clicked yaw
  */
-function handleHotspotDrop(e) {
-    if (e.stopPropagation) {
-        e.stopPropagation();
-    }
-    
-    const targetIndex = parseInt(e.currentTarget.dataset.hotspotIndex);
-    
-    if (draggedHotspotIndex !== null && targetIndex !== draggedHotspotIndex) {
-        const hotspots = tourConfig.scenes[currentScene].hotSpots;
-        
-        // Reorder hotspots array
-        const draggedHotspot = hotspots[draggedHotspotIndex];
-        hotspots.splice(draggedHotspotIndex, 1);
-        hotspots.splice(targetIndex, 0, draggedHotspot);
-        
-        // Update UI
-        updateHotspotsList();
-        updateViewerHotspots();
+function placeCapturedReturnHotspot(pitch, yaw) {
+    const sceneId = pendingReturnLink.sceneId;
+    const hotspotId = pendingReturnLink.hotspotId;
+    const scene = tourConfig.scenes[sceneId];
+    const hotspot = scene && (scene.hotSpots || []).find(h => h.id === hotspotId);
+    cancelReturnLinkCapture();
+    
+    if (!hotspot || hotspot.sceneId !== currentScene) {
+        alert(`Hotspot "${hotspotId}" no longer links to this scene, so no return link was added`);
+        return;
     }
     
-    return false;
+    pushHistory(`Add return link for "${hotspotId}"`);
+    addReturnHotspot(sceneId, hotspotId, pitch, yaw);
+    updateHotspotsList();
 }
 
 /**
- * Clean up after hotspot drag operation
+ * Stop waiting for the position of a return link
  */
-function handleHotspotDragEnd(e) {
-    // Clean up
-    document.querySelectorAll('.hotspot-item').forEach(item => {
-        item.classList.remove('dragging', 'drag-over');
-    });
-    draggedHotspotIndex = null;
+function cancelReturnLinkCapture() {
+    pendingReturnLink = null;
+    document.getElementById('returnLinkNotice').style.display = 'none';
 }
 
 /**
  * ===================================================================
- * CONFIGURATION IMPORT/EXPORT FUNCTIONS
+ * SCENE UTILITY FUNCTIONS
  * ===================================================================
  */
 /**
- * Export current tour configuration as JSON file
+ * Rename a scene and update all references
+ * @param {string} oldSceneId - Current scene ID
+ * @param {string} newSceneId - New scene ID
+ * @returns {boolean} Success status
  */
-function exportConfiguration() {
-    // If viewer exists, we could potentially get config from it
-    // but for now we'll use our local tourConfig
-    const configText = JSON.stringify(tourConfig, null, 4);
-    const blob = new Blob([configText], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
+function renameScene(oldSceneId, newSceneId) {
+    // Validation
+    if (!newSceneId || newSceneId.trim() === '') {
+        alert('Scene ID cannot be empty');
+        return false;
+    }
     
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'tour-config.json';
-    a.click();
+    // Sanitize scene ID (allow only alphanumeric, underscore, and hyphen)
+    if (!/^[a-zA-Z0-9_-]+$/.test(newSceneId)) {
+        alert('Scene ID can only contain letters, numbers, underscores, and hyphens');
+        return false;
+    }
     
-    URL.revokeObjectURL(url);
-}
-
-/**
- * Copy tour configuration to clipboard as JavaScript object
- */
-function copyJSObject() {
-    const jsObjectText = convertToJSObject(tourConfig);
+    if (oldSceneId === newSceneId) {
+        return true; // No change needed
+    }
     
-    // Try to use Clipboard API
-    if (navigator.clipboard && navigator.clipboard.writeText) {
-        navigator.clipboard.writeText(jsObjectText).then(() => {
-            showCopyFeedback();
-        }).catch(err => {
-            console.error('Failed to copy to clipboard:', err);
-            fallbackCopyToClipboard(jsObjectText);
-        });
-    } else {
-        // Fallback for older browsers
-        fallbackCopyToClipboard(jsObjectText);
+    if (tourConfig.scenes[newSceneId]) {
+        alert('A scene with this ID already exists');
+        return false;
     }
-}
-
-/**
- * Convert JSON object to JavaScript object notation
+    
+    // Confirm rename
+    if (!confirm(`Are you sure you want to rename scene "${oldSceneId}" to "${newSceneId}"? All hotspot references will be updated.`)) {
+        return false;
+    }
+    
+    renameSceneInConfig(tourConfig, oldSceneId, newSceneId);
+    
+    // Two-way links into this scene that are still labelled with its old ID can follow the rename
+    const oldLabels = [];
+    Object.keys(tourConfig.scenes).forEach(sceneId => {
+        (tourConfig.scenes[sceneId].hotSpots || []).forEach(hotspot => {
+            if (hotspot.sceneId === newSceneId && hotspot.text === oldSceneId && findLinkedHotspot(hotspot)) {
+                oldLabels.push({ sceneId: sceneId, hotspot: hotspot });
+            }
+        });
+    });
+    if (oldLabels.length > 0 && confirm(`${oldLabels.length} linked hotspot${oldLabels.length > 1 ? 's are' : ' is'} labelled "${oldSceneId}". Change the text to "${newSceneId}"?`)) {
+        oldLabels.forEach(entry => {
+            entry.hotspot.text = newSceneId;
+            if (viewer && entry.sceneId !== newSceneId) {
+                removeSingleHotspot(entry.hotspot.id, entry.sceneId);
+                addSingleHotspot(JSON.parse(JSON.stringify(entry.hotspot)), entry.sceneId);
+            }
+        });
+    }
+    
+    // Update current scene variable
+    if (currentScene === oldSceneId) {
+        currentScene = newSceneId;
+    }
+    
+    // Handle viewer update
+    if (viewer) {
+        try {
+            const wasCurrentScene = (viewer.getScene && viewer.getScene() === oldSceneId);
+            viewer.removeScene(oldSceneId);
+            // Pass a deep copy to prevent Pannellum from modifying our config
+            const sceneCopy = JSON.parse(JSON.stringify(tourConfig.scenes[newSceneId]));
+            viewer.addScene(newSceneId, prepareViewerScene(sceneCopy));
+            if (wasCurrentScene) {
+                viewer.loadScene(newSceneId);
+            }
+        } catch (error) {
+            console.error('Error renaming scene in viewer:', error);
+            initializeViewer();
+        }
+    }
+    
+    // Refresh all UI elements
+    updateSceneDropdowns();
+    renderSceneOrderList();
+    
+    // Re-select the renamed scene
+    sceneSelect.value = newSceneId;
+    selectScene();
+    
+    
+    return true;
+}
+
+/**
+ * Rename a scene in a tour configuration and update its references
+ * Doesn't validate the new ID or touch the viewer
+ * @param {Object} config - Tour configuration to update
+ * @param {string} oldSceneId - Current scene ID
+ * @param {string} newSceneId - New scene ID
+ */
+function renameSceneInConfig(config, oldSceneId, newSceneId) {
+    // Update scenes object - preserve order by rebuilding
+    const updatedScenes = {};
+    for (const [key, value] of Object.entries(config.scenes)) {
+        if (key === oldSceneId) {
+            updatedScenes[newSceneId] = value;
+        } else {
+            updatedScenes[key] = value;
+        }
+    }
+    config.scenes = updatedScenes;
+    
+    // Update all hotspot references in all scenes
+    Object.values(config.scenes).forEach(scene => {
+        if (scene.hotSpots && scene.hotSpots.length > 0) {
+            scene.hotSpots.forEach(hotspot => {
+                if (hotspot.sceneId === oldSceneId) {
+                    hotspot.sceneId = newSceneId;
+                    // DO NOT touch hotspot.text - leave it as user set it
+                }
+            });
+        }
+    });
+    
+    // Update scene order array
+    const orderIndex = (config.default.sceneOrder || []).indexOf(oldSceneId);
+    if (orderIndex > -1) {
+        config.default.sceneOrder[orderIndex] = newSceneId;
+    }
+    
+    // Update first scene if it matches
+    if (config.default.firstScene === oldSceneId) {
+        config.default.firstScene = newSceneId;
+    }
+    
+    // Move the scene's graph position
+    const positions = config.editor && config.editor.graph && config.editor.graph.positions;
+    if (positions && positions[oldSceneId]) {
+        positions[newSceneId] = positions[oldSceneId];
+        delete positions[oldSceneId];
+    }
+    
+    // Move the scene's floor plan pin
+    const scenePin = findScenePin(oldSceneId, config);
+    if (scenePin) {
+        scenePin.floor.pins[newSceneId] = scenePin.pin;
+        delete scenePin.floor.pins[oldSceneId];
+    }
+}
+
+/**
+ * Get the panorama type of a scene
+ * Pannellum treats scenes without a type as equirectangular
+ * @param {Object} scene - Scene configuration
+ * @returns {string} 'multires', 'equirectangular' or 'cubemap'
+ */
+function getSceneType(scene) {
+    return (scene && scene.type) || 'equirectangular';
+}
+
+/**
+ * Show only the fields that apply to the selected scene type
+ * @param {string} prefix - Field ID prefix of the modal ('newScene' or 'editScene')
+ */
+function updateSceneTypeFields(prefix) {
+    const typeSelect = document.getElementById(prefix + 'Type');
+    const modal = typeSelect.closest('.modal');
+    
+    modal.querySelectorAll('.scene-type-fields').forEach(group => {
+        group.style.display = group.dataset.sceneType === typeSelect.value ? 'block' : 'none';
+    });
+}
+
+/**
+ * Read the panorama source fields of a scene modal
+ * @param {string} prefix - Field ID prefix of the modal ('newScene' or 'editScene')
+ * @returns {Object|null} Source properties for the scene, or null if a required field is empty
+ */
+function readSceneSourceFields(prefix) {
+    const fieldValue = (field) => document.getElementById(prefix + field).value.trim();
+    const type = fieldValue('Type');
+    const preview = fieldValue('Preview');
+    let source;
+    
+    if (type === 'equirectangular') {
+        const panorama = fieldValue('Panorama');
+        if (!panorama) return null;
+        
+        source = {
+            type: 'equirectangular',
+            panorama: panorama,
+            haov: parseFloat(fieldValue('Haov')) || 360,
+            vaov: parseFloat(fieldValue('Vaov')) || 180,
+            vOffset: parseFloat(fieldValue('VOffset')) || 0
+        };
+    } else if (type === 'cubemap') {
+        const cubeMap = CUBE_FACE_NAMES.map(face => fieldValue('Cube' + face));
+        if (cubeMap.some(url => !url)) return null;
+        
+        source = {
+            type: 'cubemap',
+            cubeMap: cubeMap
+        };
+    } else {
+        const basePath = fieldValue('Path');
+        if (!basePath) return null;
+        
+        const multiRes = Object.assign({ basePath: basePath }, readMultiResFields(prefix));
+        
+        // Pannellum only uses fallback tiles when a path is given
+        if (!multiRes.fallbackPath) {
+            delete multiRes.fallbackPath;
+        }
+        
+        // Without a custom preview, show the lowest resolution front tile while loading
+        return {
+            type: 'multires',
+            preview: preview || buildTileUrl(multiRes, 1, 'f', 0, 0),
+            multiRes: multiRes
+        };
+    }
+    
+    if (preview) {
+        source.preview = preview;
+    }
+    
+    return source;
+}
+
+/**
+ * Get the multiRes tiling settings used for new scenes
+ * @returns {Object} Built-in defaults merged with the tour's saved defaults
+ */
+function getSceneDefaults() {
+    const saved = tourConfig.editor && tourConfig.editor.sceneDefaults;
+    return Object.assign({}, DEFAULT_MULTIRES_SETTINGS, saved);
+}
+
+/**
+ * Fill the multiRes tiling fields of a scene modal
+ * @param {string} prefix - Field ID prefix of the modal ('newScene' or 'editScene')
+ * @param {Object} multiRes - Tiling settings (basePath is optional)
+ */
+function fillMultiResFields(prefix, multiRes) {
+    if (multiRes.basePath !== undefined) {
+        document.getElementById(prefix + 'Path').value = multiRes.basePath;
+    }
+    document.getElementById(prefix + 'TilePath').value = multiRes.path;
+    document.getElementById(prefix + 'FallbackPath').value = multiRes.fallbackPath || '';
+    document.getElementById(prefix + 'Extension').value = multiRes.extension;
+    document.getElementById(prefix + 'TileResolution').value = multiRes.tileResolution;
+    document.getElementById(prefix + 'MaxLevel').value = multiRes.maxLevel;
+    document.getElementById(prefix + 'CubeResolution').value = multiRes.cubeResolution;
+}
+
+/**
+ * Read the multiRes tiling fields of a scene modal
+ * Empty fields fall back to the tour's defaults, except the optional fallback path
+ * @param {string} prefix - Field ID prefix of the modal ('newScene' or 'editScene')
+ * @returns {Object} Tiling settings without basePath
+ */
+function readMultiResFields(prefix) {
+    const defaults = getSceneDefaults();
+    const fieldValue = (field) => document.getElementById(prefix + field).value.trim();
+    
+    return {
+        path: fieldValue('TilePath') || defaults.path,
+        fallbackPath: fieldValue('FallbackPath'),
+        extension: fieldValue('Extension').replace(/^\./, '') || defaults.extension,
+        tileResolution: parseInt(fieldValue('TileResolution')) || defaults.tileResolution,
+        maxLevel: parseInt(fieldValue('MaxLevel')) || defaults.maxLevel,
+        cubeResolution: parseInt(fieldValue('CubeResolution')) || defaults.cubeResolution
+    };
+}
+
+/**
+ * Save the tiling fields of a scene modal as the tour's defaults for new scenes
+ * @param {string} prefix - Field ID prefix of the modal ('newScene' or 'editScene')
+ */
+function saveSceneDefaults(prefix) {
+    const settings = readMultiResFields(prefix);
+    
+    pushHistory('Save scene defaults');
+    tourConfig.editor = tourConfig.editor || {};
+    tourConfig.editor.sceneDefaults = settings;
+    
+    alert('Saved as defaults for new scenes in this tour');
+}
+
+/**
+ * Build the URL of a multires tile
+ * @param {Object} multiRes - Scene multiRes settings
+ * @param {number} level - Resolution level (1 is the lowest)
+ * @param {string} face - Cube face letter (f, r, b, l, u or d)
+ * @param {number} y - Tile row
+ * @param {number} x - Tile column
+ * @returns {string} Tile URL
+ */
+function buildTileUrl(multiRes, level, face, y, x) {
+    const tilePath = multiRes.path
+        .replace(/%l/g, level)
+        .replace(/%s/g, face)
+        .replace(/%y/g, y)
+        .replace(/%x/g, x);
+    return (multiRes.basePath || '') + tilePath + '.' + multiRes.extension;
+}
+
+/**
+ * Replace the panorama source of a scene
+ * Other settings and the property order are kept; the scene object is updated in place
+ * @param {Object} scene - Scene configuration to update
+ * @param {Object} source - Properties returned by readSceneSourceFields
+ */
+function applySceneSource(scene, source) {
+    const rebuilt = {};
+    let inserted = false;
+    
+    // Put the new source where the old one was, or before the hotspots
+    Object.keys(scene).forEach(key => {
+        if (SCENE_SOURCE_KEYS.indexOf(key) === -1) {
+            if (key === 'hotSpots' && !inserted) {
+                Object.assign(rebuilt, source);
+                inserted = true;
+            }
+            rebuilt[key] = scene[key];
+        } else if (!inserted) {
+            Object.assign(rebuilt, source);
+            inserted = true;
+        }
+    });
+    
+    if (!inserted) {
+        Object.assign(rebuilt, source);
+    }
+    
+    Object.keys(scene).forEach(key => delete scene[key]);
+    Object.assign(scene, rebuilt);
+}
+
+/**
+ * Update hotspot target references when scene properties change
+ * Hotspots with a locked arrival view (targetLocked) keep their own values
+ * @param {string} targetSceneId - Scene ID to update references for
+ * @param {Object} updates - Properties to update (targetPitch, targetYaw, targetHfov)
+ * @returns {number} Number of hotspots updated
+ */
+function updateHotspotReferences(targetSceneId, updates) {
+    let updateCount = 0;
+    
+    Object.entries(tourConfig.scenes).forEach(([sceneId, scene]) => {
+        if (scene.hotSpots && scene.hotSpots.length > 0) {
+            scene.hotSpots.forEach((hotspot, index) => {
+                if (hotspot.sceneId === targetSceneId && !hotspot.targetLocked) {
+                    // DO NOT UPDATE TEXT - leave hotspot.text as is
+                    
+                    // Update target position and HFOV
+                    if (updates.targetPitch !== undefined) {
+                        hotspot.targetPitch = updates.targetPitch;
+                    }
+                    if (updates.targetYaw !== undefined) {
+                        hotspot.targetYaw = updates.targetYaw;
+                    }
+                    if (updates.targetHfov !== undefined) {
+                        hotspot.targetHfov = updates.targetHfov;
+                    }
+                    updateCount++;
+                }
+            });
+        }
+    });
+    
+    return updateCount;
+}
+
+
+/**
+ * ===================================================================
+ * HOTSPOT STYLES
+ * ===================================================================
+ */
+/**
+ * Get the tour's hotspot style library
+ * Styles are stored in tourConfig.hotspotStyles as {id, name, cssClass, icon, size, tooltip}
+ * and hotspots use a style by setting its cssClass
+ * @returns {Array<Object>} Styles, empty if the tour has none
+ */
+function getHotspotStyles() {
+    return tourConfig.hotspotStyles || [];
+}
+
+/**
+ * Get the style selected in the Hotspot Styles panel
+ * @returns {Object|null} Style, or null if the tour has none
+ */
+function getSelectedHotspotStyle() {
+    const styles = getHotspotStyles();
+    const styleId = document.getElementById('styleSelect').value;
+    return styles.find(style => style.id === styleId) || styles[0] || null;
+}
+
+/**
+ * Render the Hotspot Styles panel and apply the styles to the preview
+ */
+function renderHotspotStyles() {
+    const styleSelect = document.getElementById('styleSelect');
+    const styles = getHotspotStyles();
+    const selected = getSelectedHotspotStyle();
+    
+    styleSelect.innerHTML = '';
+    styles.forEach(style => {
+        const option = document.createElement('option');
+        option.value = style.id;
+        option.textContent = style.name;
+        styleSelect.appendChild(option);
+    });
+    styleSelect.value = selected ? selected.id : '';
+    styleSelect.disabled = styles.length === 0;
+    
+    document.getElementById('deleteStyleBtn').disabled = !selected;
+    document.getElementById('styleDetails').style.display = selected ? 'block' : 'none';
+    
+    if (selected) {
+        document.getElementById('styleName').value = selected.name;
+        document.getElementById('styleCssClass').value = selected.cssClass;
+        document.getElementById('styleIcon').value = selected.icon && selected.icon.indexOf('data:') === 0 ? '(uploaded image)' : (selected.icon || '');
+        document.getElementById('styleSize').value = selected.size || 32;
+        document.getElementById('styleTooltip').value = selected.tooltip || '';
+    }
+    
+    document.getElementById('hotspotStyleSheet').textContent = buildHotspotStyleCss(styles);
+}
+
+/**
+ * Build the CSS rules of a hotspot style library
+ * Pannellum gives hotspots with a cssClass only that class, so each rule draws the whole hotspot
+ * @param {Array<Object>} styles - Hotspot styles
+ * @returns {string} CSS rules
+ */
+function buildHotspotStyleCss(styles) {
+    return styles.map(style => {
+        const size = style.size || 32;
+        const background = style.icon
+            ? `    background: url("${style.icon.replace(/["\\]/g, '\\$&')}") center / contain no-repeat;`
+            : '    background-color: rgba(255, 255, 255, 0.8);\n    border: 2px solid #3498db;\n    border-radius: 50%;\n    box-sizing: border-box;';
+        return `.pnlm-hotspot-base.${style.cssClass} {\n    width: ${size}px;\n    height: ${size}px;\n${background}\n    cursor: pointer;\n}`;
+    }).join('\n');
+}
+
+/**
+ * Fill in a style's tooltip template for a hotspot
+ * {text} is the hotspot text and {scene} the title or ID of the scene it links to
+ * @param {string} template - Tooltip HTML with placeholders
+ * @param {Object} hotspot - Hotspot configuration
+ * @param {Object} config - Tour configuration with the hotspot's target scene
+ * @returns {string} Tooltip HTML
+ */
+function buildHotspotTooltipHtml(template, hotspot, config) {
+    const targetScene = config.scenes[hotspot.sceneId];
+    const sceneName = targetScene ? (targetScene.title || hotspot.sceneId) : '';
+    return template
+        .replace(/\{text\}/g, escapeHtml(hotspot.text || ''))
+        .replace(/\{scene\}/g, escapeHtml(sceneName));
+}
+
+/**
+ * Get the tooltip HTML of every styled hotspot with a tooltip template
+ * @param {Object} config - Tour configuration with its hotspotStyles
+ * @returns {Object<string, string>} Tooltip HTML by hotspot ID
+ */
+function buildHotspotTooltips(config) {
+    const tooltips = {};
+    const styles = config.hotspotStyles || [];
+    
+    Object.values(config.scenes).forEach(scene => {
+        (scene.hotSpots || []).forEach(hotspot => {
+            const style = hotspot.cssClass && styles.find(entry => entry.cssClass === hotspot.cssClass);
+            if (style && style.tooltip && hotspot.id) {
+                tooltips[hotspot.id] = buildHotspotTooltipHtml(style.tooltip, hotspot, config);
+            }
+        });
+    });
+    
+    return tooltips;
+}
+
+/**
+ * Attach the tooltip of a hotspot's style before it is given to the viewer
+ * @param {Object} hotspot - Copy of a hotspot configuration
+ * @returns {Object} The same hotspot
+ */
+function styleViewerHotspot(hotspot) {
+    const style = hotspot.cssClass && getHotspotStyles().find(entry => entry.cssClass === hotspot.cssClass);
+    if (style && style.tooltip) {
+        hotspot.createTooltipFunc = createStyledTooltip;
+        hotspot.createTooltipArgs = buildHotspotTooltipHtml(style.tooltip, hotspot, tourConfig);
+    }
+    return hotspot;
+}
+
+/**
+ * Prepare a copy of a scene before it is given to the viewer
+ * Attaches the style tooltips of its hotspots and shows tiles kept in this browser
+ * @param {Object} scene - Copy of a scene configuration
+ * @returns {Object} The same scene
+ */
+function prepareViewerScene(scene) {
+    (scene.hotSpots || []).forEach(styleViewerHotspot);
+    useGeneratedPanorama(scene);
+    return scene;
+}
+
+/**
+ * Pannellum createTooltipFunc for styled hotspots
+ * Uses Pannellum's tooltip look with the HTML of the style's template
+ * @param {HTMLElement} hotSpotDiv - Hotspot element created by Pannellum
+ * @param {string} html - Tooltip HTML
+ */
+function createStyledTooltip(hotSpotDiv, html) {
+    hotSpotDiv.classList.add('pnlm-tooltip');
+    const span = document.createElement('span');
+    span.innerHTML = html;
+    hotSpotDiv.appendChild(span);
+    span.style.width = span.scrollWidth - 20 + 'px';
+    span.style.marginLeft = -(span.scrollWidth - hotSpotDiv.offsetWidth) / 2 + 'px';
+    span.style.marginTop = -span.scrollHeight - 12 + 'px';
+}
+
+/**
+ * Fill the style dropdown of the hotspot modal
+ * @param {string|undefined} cssClass - CSS class of the hotspot being edited
+ */
+function fillHotspotStyleSelect(cssClass) {
+    const select = document.getElementById('hotspotStyle');
+    const styles = getHotspotStyles();
+    select.innerHTML = '<option value="">Default (Pannellum)</option>';
+    
+    styles.forEach(style => {
+        const option = document.createElement('option');
+        option.value = style.id;
+        option.textContent = style.name;
+        select.appendChild(option);
+    });
+    
+    const match = cssClass && styles.find(style => style.cssClass === cssClass);
+    if (cssClass && !match) {
+        const option = document.createElement('option');
+        option.value = HOTSPOT_STYLE_KEEP;
+        option.textContent = `Class "${cssClass}" (not in the style library)`;
+        select.appendChild(option);
+    }
+    
+    select.value = match ? match.id : (cssClass ? HOTSPOT_STYLE_KEEP : '');
+}
+
+/**
+ * Get the name of the style that uses a CSS class
+ * @param {string} cssClass - CSS class of a hotspot
+ * @returns {string} Style name, or the class itself if no style uses it
+ */
+function getHotspotStyleName(cssClass) {
+    const style = getHotspotStyles().find(entry => entry.cssClass === cssClass);
+    return style ? style.name : cssClass;
+}
+
+/**
+ * Count the hotspots that use a CSS class
+ * @param {string} cssClass - CSS class
+ * @returns {number} Number of hotspots
+ */
+function countHotspotsWithClass(cssClass) {
+    return Object.values(tourConfig.scenes).reduce((count, scene) => {
+        return count + (scene.hotSpots || []).filter(hotspot => hotspot.cssClass === cssClass).length;
+    }, 0);
+}
+
+/**
+ * Add a style to the tour's library
+ */
+function addHotspotStyle() {
+    const styles = getHotspotStyles();
+    let number = styles.length + 1;
+    while (styles.some(style => style.id === `style_${number}` || style.cssClass === `hs-style-${number}`)) {
+        number++;
+    }
+    
+    pushHistory('Add hotspot style');
+    tourConfig.hotspotStyles = styles;
+    styles.push({ id: `style_${number}`, name: `Style ${number}`, cssClass: `hs-style-${number}`, icon: '', size: 32, tooltip: '' });
+    
+    renderHotspotStyles();
+    document.getElementById('styleSelect').value = `style_${number}`;
+    renderHotspotStyles();
+}
+
+/**
+ * Delete the selected style; hotspots using it go back to Pannellum's default look
+ */
+function deleteHotspotStyle() {
+    const style = getSelectedHotspotStyle();
+    if (!style) return;
+    
+    const count = countHotspotsWithClass(style.cssClass);
+    if (!confirm(`Are you sure you want to delete style "${style.name}"?${count > 0 ? ` ${count} hotspot(s) use it and will get the default look.` : ''}`)) {
+        return;
+    }
+    
+    pushHistory(`Delete hotspot style "${style.name}"`);
+    tourConfig.hotspotStyles = getHotspotStyles().filter(entry => entry !== style);
+    if (tourConfig.hotspotStyles.length === 0) {
+        delete tourConfig.hotspotStyles;
+    }
+    Object.values(tourConfig.scenes).forEach(scene => {
+        (scene.hotSpots || []).forEach(hotspot => {
+            if (hotspot.cssClass === style.cssClass) {
+                delete hotspot.cssClass;
+            }
+        });
+    });
+    
+    refreshEditorFromConfig(currentScene);
+}
+
+/**
+ * Apply the style fields to the selected style
+ * Hotspots follow a change of CSS class; the preview is rebuilt when classes or tooltips change
+ */
+function updateHotspotStyle() {
+    const style = getSelectedHotspotStyle();
+    if (!style) return;
+    
+    const name = document.getElementById('styleName').value.trim() || style.name;
+    const cssClass = document.getElementById('styleCssClass').value.trim();
+    let icon = document.getElementById('styleIcon').value.trim();
+    if (icon === '(uploaded image)') {
+        icon = style.icon;
+    }
+    const size = parseInt(document.getElementById('styleSize').value) || 32;
+    const tooltip = document.getElementById('styleTooltip').value.trim();
+    
+    if (!/^[a-zA-Z_-][a-zA-Z0-9_-]*$/.test(cssClass)) {
+        alert('CSS class can only contain letters, numbers, underscores, and hyphens, and can\'t start with a number');
+        renderHotspotStyles();
+        return;
+    }
+    if (getHotspotStyles().some(entry => entry !== style && entry.cssClass === cssClass)) {
+        alert(`CSS class "${cssClass}" is already used by another style`);
+        renderHotspotStyles();
+        return;
+    }
+    
+    const rebuildPreview = cssClass !== style.cssClass || tooltip !== (style.tooltip || '');
+    if (!rebuildPreview && name === style.name && icon === style.icon && size === style.size) return;
+    
+    pushHistory(`Edit hotspot style "${name}"`);
+    Object.values(tourConfig.scenes).forEach(scene => {
+        (scene.hotSpots || []).forEach(hotspot => {
+            if (hotspot.cssClass === style.cssClass) {
+                hotspot.cssClass = cssClass;
+            }
+        });
+    });
+    Object.assign(style, { name: name, cssClass: cssClass, icon: icon, size: size, tooltip: tooltip });
+    
+    if (rebuildPreview) {
+        refreshEditorFromConfig(currentScene);
+    } else {
+        renderHotspotStyles();
+    }
+}
+
+/**
+ * Use an uploaded image as the selected style's icon
+ * The image is embedded in the tour as a data URL, scaled down to STYLE_ICON_MAX_SIZE
+ * @param {Event} e - File input change event
+ */
+async function handleStyleIconFile(e) {
+    const file = e.target.files[0];
+    const style = getSelectedHotspotStyle();
+    e.target.value = '';
+    if (!file || !style) return;
+    
+    let icon;
+    try {
+        icon = await readEmbeddedImage(file, STYLE_ICON_MAX_SIZE);
+    } catch (error) {
+        alert(`Could not use "${file.name}" as the icon: ${error.message}.\n\nPut the image next to the tour and enter its path in the Icon Image URL field instead.`);
+        return;
+    }
+    
+    pushHistory(`Set icon of hotspot style "${style.name}"`);
+    style.icon = icon;
+    renderHotspotStyles();
+}
+
+/**
+ * ===================================================================
+ * TOUR DEFAULT SETTINGS
+ * ===================================================================
+ */
+/**
+ * Get the form field ID of a tour-wide setting
+ * @param {string} key - Setting name, e.g. 'showControls'
+ * @returns {string} Field ID, e.g. 'tourShowControls'
+ */
+function getTourSettingFieldId(key) {
+    return 'tour' + key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/**
+ * Show the tour-wide settings and the scenes that override each of them
+ */
+function renderTourSettings() {
+    const defaults = tourConfig.default;
+    
+    Object.keys(TOUR_BOOLEAN_SETTINGS).forEach(key => {
+        document.getElementById(getTourSettingFieldId(key)).checked =
+            defaults[key] !== undefined ? !!defaults[key] : TOUR_BOOLEAN_SETTINGS[key];
+    });
+    TOUR_NUMBER_SETTINGS.concat(TOUR_TEXT_SETTINGS).forEach(key => {
+        document.getElementById(getTourSettingFieldId(key)).value = defaults[key] !== undefined ? defaults[key] : '';
+    });
+    
+    Object.keys(TOUR_BOOLEAN_SETTINGS).concat(TOUR_NUMBER_SETTINGS, TOUR_TEXT_SETTINGS).forEach(key => {
+        const overrides = Object.keys(tourConfig.scenes).filter(sceneId => tourConfig.scenes[sceneId][key] !== undefined);
+        document.getElementById(getTourSettingFieldId(key) + 'Overrides').textContent =
+            overrides.length > 0 ? `Overridden in: ${overrides.join(', ')}` : '';
+    });
+}
+
+/**
+ * Save a tour-wide setting from its field and reload the preview with it
+ * @param {string} key - Setting name
+ */
+function updateTourSetting(key) {
+    const field = document.getElementById(getTourSettingFieldId(key));
+    let value;
+    
+    if (TOUR_BOOLEAN_SETTINGS[key] !== undefined) {
+        value = field.checked;
+    } else if (TOUR_NUMBER_SETTINGS.indexOf(key) !== -1) {
+        value = parseFloat(field.value);
+        value = isNaN(value) ? undefined : value;
+    } else {
+        value = field.value.trim() || undefined;
+    }
+    
+    if (value === tourConfig.default[key]) return;
+    
+    pushHistory(`Set tour default "${key}"`);
+    if (value === undefined) {
+        delete tourConfig.default[key];
+    } else {
+        tourConfig.default[key] = value;
+    }
+    
+    // Pannellum reads the defaults when the viewer is created
+    refreshEditorFromConfig(currentScene);
+}
+
+/**
+ * ===================================================================
+ * ADVANCED SCENE SETTINGS
+ * ===================================================================
+ */
+/**
+ * Get the form field ID of an advanced scene setting
+ * @param {string} key - Setting name, e.g. 'minPitch'
+ * @returns {string} Field ID, e.g. 'editSceneMinPitch'
+ */
+function getSceneSettingFieldId(key) {
+    return 'editScene' + key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/**
+ * Get the advanced settings a scene sets
+ * @param {Object} scene - Scene configuration
+ * @returns {Object} Settings present in the scene, including compass
+ */
+function getSceneSettings(scene) {
+    const settings = {};
+    SCENE_TEXT_SETTINGS.concat(SCENE_NUMBER_SETTINGS, ['compass']).forEach(key => {
+        if (scene[key] !== undefined) {
+            settings[key] = scene[key];
+        }
+    });
+    return settings;
+}
+
+/**
+ * Fill the advanced settings fields of the Edit Scene modal
+ * @param {Object} scene - Scene configuration
+ */
+function fillSceneSettingsFields(scene) {
+    SCENE_TEXT_SETTINGS.concat(SCENE_NUMBER_SETTINGS).forEach(key => {
+        document.getElementById(getSceneSettingFieldId(key)).value = scene[key] !== undefined ? scene[key] : '';
+    });
+    document.getElementById('editSceneCompass').checked = !!scene.compass;
+}
+
+/**
+ * Read the advanced settings fields of the Edit Scene modal
+ * @returns {Object} Settings that are filled in; empty fields are left out
+ */
+function readSceneSettingsFields() {
+    const settings = {};
+    
+    SCENE_TEXT_SETTINGS.forEach(key => {
+        const value = document.getElementById(getSceneSettingFieldId(key)).value.trim();
+        if (value) {
+            settings[key] = value;
+        }
+    });
+    
+    SCENE_NUMBER_SETTINGS.forEach(key => {
+        const value = parseFloat(document.getElementById(getSceneSettingFieldId(key)).value);
+        if (!isNaN(value)) {
+            settings[key] = value;
+        }
+    });
+    
+    if (document.getElementById('editSceneCompass').checked) {
+        settings.compass = true;
+    }
+    
+    return settings;
+}
+
+/**
+ * Check that the view limits of a scene leave something to see
+ * @param {Object} settings - Settings from readSceneSettingsFields
+ * @returns {string|null} Error message, or null if the settings are valid
+ */
+function validateSceneSettings(settings) {
+    const pairs = [['minPitch', 'maxPitch'], ['minYaw', 'maxYaw'], ['minHfov', 'maxHfov']];
+    for (const [minKey, maxKey] of pairs) {
+        if (settings[minKey] !== undefined && settings[maxKey] !== undefined && settings[minKey] > settings[maxKey]) {
+            return `${minKey} (${settings[minKey]}) can't be greater than ${maxKey} (${settings[maxKey]})`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Replace the advanced settings of a scene
+ * Settings that aren't given are removed; hotspots stay at the end of the scene
+ * @param {Object} scene - Scene configuration to update
+ * @param {Object} settings - Settings from readSceneSettingsFields
+ */
+function applySceneSettings(scene, settings) {
+    SCENE_TEXT_SETTINGS.concat(SCENE_NUMBER_SETTINGS, ['compass']).forEach(key => {
+        if (settings[key] !== undefined) {
+            scene[key] = settings[key];
+        } else {
+            delete scene[key];
+        }
+    });
+    
+    if (scene.hotSpots) {
+        const hotSpots = scene.hotSpots;
+        delete scene.hotSpots;
+        scene.hotSpots = hotSpots;
+    }
+}
+
+/**
+ * Apply view limits, orientation and auto-rotation to the preview without reloading the scene
+ * Title, author and compass are shown once the scene is saved
+ * @param {Object} settings - Scene settings; missing ones fall back to the tour's or Pannellum's defaults
+ */
+function applySceneSettingsToViewer(settings) {
+    if (!viewer || !currentScene || viewer.getScene() !== currentScene) return;
+    
+    try {
+        viewer.setPitchBounds([
+            settings.minPitch !== undefined ? settings.minPitch : -90,
+            settings.maxPitch !== undefined ? settings.maxPitch : 90
+        ]);
+        viewer.setYawBounds([
+            settings.minYaw !== undefined ? settings.minYaw : -180,
+            settings.maxYaw !== undefined ? settings.maxYaw : 180
+        ]);
+        viewer.setHfovBounds([
+            settings.minHfov !== undefined ? settings.minHfov : 50,
+            settings.maxHfov !== undefined ? settings.maxHfov : 120
+        ]);
+        viewer.setNorthOffset(settings.northOffset || 0);
+        viewer.setHorizonPitch(settings.horizonPitch || 0);
+        viewer.setHorizonRoll(settings.horizonRoll || 0);
+        
+        const autoRotate = settings.autoRotate !== undefined ? settings.autoRotate : tourConfig.default.autoRotate;
+        if (autoRotate) {
+            viewer.startAutoRotate(autoRotate);
+        } else {
+            viewer.stopAutoRotate();
+        }
+    } catch (error) {
+        console.error('Error previewing scene settings:', error);
+    }
+}
+
+/**
+ * Preview the settings currently entered in the Edit Scene modal
+ */
+function previewSceneSettings() {
+    applySceneSettingsToViewer(readSceneSettingsFields());
+}
+
+/**
+ * Hide the Edit Scene modal so a setting can be picked by moving the preview
+ * The limit being picked is lifted meanwhile so the view can go past it
+ * @param {string} key - Setting to pick, one of SCENE_SETTING_CAPTURE_HINTS
+ */
+function startSceneSettingCapture(key) {
+    if (!viewer || viewer.getScene() !== currentScene) {
+        alert('The scene must be shown in the preview to pick a setting from the view');
+        return;
+    }
+    
+    sceneSettingCapture = key;
+    
+    const settings = readSceneSettingsFields();
+    const pairs = { Pitch: ['minPitch', 'maxPitch'], Yaw: ['minYaw', 'maxYaw'], Hfov: ['minHfov', 'maxHfov'] };
+    Object.keys(pairs).forEach(axis => {
+        if (pairs[axis].indexOf(key) !== -1) {
+            pairs[axis].forEach(pairKey => delete settings[pairKey]);
+        }
+    });
+    settings.autoRotate = 0;
+    applySceneSettingsToViewer(settings);
+    
+    document.getElementById('settingCaptureText').textContent = SCENE_SETTING_CAPTURE_HINTS[key] + ', then click Set';
+    document.getElementById('settingCaptureNotice').style.display = 'flex';
+    editSceneModal.style.display = 'none';
+}
+
+/**
+ * Work out a setting from the preview's current view
+ * Pitch and yaw limits are taken at the edges of the view
+ * @param {string} key - Setting to work out
+ * @returns {number} Setting value, rounded to 0.1 degrees
+ */
+function getSettingFromView(key) {
+    const pitch = viewer.getPitch();
+    const yaw = viewer.getYaw();
+    const hfov = viewer.getHfov();
+    const container = viewer.getContainer();
+    const aspect = container.clientWidth && container.clientHeight ? container.clientWidth / container.clientHeight : 1;
+    const vfov = 2 * Math.atan(Math.tan(hfov * Math.PI / 360) / aspect) * 180 / Math.PI;
+    
+    const values = {
+        northOffset: ((-yaw % 360) + 540) % 360 - 180,
+        minPitch: Math.max(-90, pitch - vfov / 2),
+        maxPitch: Math.min(90, pitch + vfov / 2),
+        minYaw: Math.max(-180, yaw - hfov / 2),
+        maxYaw: Math.min(180, yaw + hfov / 2),
+        minHfov: hfov,
+        maxHfov: hfov
+    };
+    
+    return Math.round(values[key] * 10) / 10;
+}
+
+/**
+ * Use the current view for the setting being picked and return to the Edit Scene modal
+ */
+function confirmSceneSettingCapture() {
+    if (!sceneSettingCapture) return;
+    
+    if (viewer) {
+        document.getElementById(getSceneSettingFieldId(sceneSettingCapture)).value = getSettingFromView(sceneSettingCapture);
+    }
+    cancelSceneSettingCapture();
+}
+
+/**
+ * Return to the Edit Scene modal without changing the setting being picked
+ */
+function cancelSceneSettingCapture() {
+    sceneSettingCapture = null;
+    document.getElementById('settingCaptureNotice').style.display = 'none';
+    editSceneModal.style.display = 'flex';
+    previewSceneSettings();
+}
+
+/**
+ * ===================================================================
+ * TILE FOLDER DETECTION
+ * ===================================================================
+ */
+/**
+ * Probe the panorama folder of a scene modal and fill in its tiling settings
+ * Tiles are requested from the page's own server, so the editor must be served over HTTP
+ * @param {string} prefix - Field ID prefix of the modal ('newScene' or 'editScene')
+ */
+async function detectTileSettings(prefix) {
+    const basePath = document.getElementById(prefix + 'Path').value.trim();
+    const button = document.getElementById(prefix + 'DetectTiles');
+    const status = document.getElementById(prefix + 'DetectStatus');
+    
+    if (!basePath) {
+        alert('Please enter the panorama folder path first');
+        return;
+    }
+    
+    button.disabled = true;
+    status.className = 'detect-status';
+    status.textContent = 'Looking for tiles...';
+    
+    try {
+        const settings = await probeTileFolder(Object.assign({ basePath: basePath }, readMultiResFields(prefix)));
+        
+        if (!settings) {
+            status.className = 'detect-status error';
+            status.textContent = `No tiles found in "${basePath}". Check the folder path, the tile path template and that the editor is served over HTTP.`;
+            return;
+        }
+        
+        fillMultiResFields(prefix, settings);
+        status.textContent = `Found ${settings.maxLevel} levels of ${settings.tileResolution}px ${settings.extension} tiles, cube resolution ${settings.cubeResolution}`;
+    } catch (error) {
+        status.className = 'detect-status error';
+        status.textContent = 'Error probing tiles: ' + error.message;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Work out the tiling settings of a tile folder from the tiles it serves
+ * The highest level is the last one with a front tile; the cube resolution comes
+ * from the number of front tile columns at that level and the width of the last one
+ * @param {Object} multiRes - Tiling settings to probe with (basePath, path, extension, tileResolution)
+ * @param {Object} [tileReader] - {exists(url), width(url)}; defaults to requesting tiles from the server
+ * @returns {Promise<Object|null>} Detected settings, or null if no tiles were found
+ */
+async function probeTileFolder(multiRes, tileReader = { exists: tileExists, width: loadTileWidth }) {
+    const settings = Object.assign({}, multiRes);
+    
+    // Try the configured format first, then the common ones
+    const extensions = [settings.extension].concat(TILE_EXTENSIONS.filter(ext => ext !== settings.extension));
+    let found = false;
+    for (const extension of extensions) {
+        settings.extension = extension;
+        if (await tileReader.exists(buildTileUrl(settings, 1, 'f', 0, 0))) {
+            found = true;
+            break;
+        }
+    }
+    if (!found) return null;
+    
+    let maxLevel = 1;
+    while (maxLevel < MAX_PROBED_TILES && await tileReader.exists(buildTileUrl(settings, maxLevel + 1, 'f', 0, 0))) {
+        maxLevel++;
+    }
+    
+    let columns = 1;
+    while (columns < MAX_PROBED_TILES && await tileReader.exists(buildTileUrl(settings, maxLevel, 'f', 0, columns))) {
+        columns++;
+    }
+    
+    // Full tiles give the tile size; the last one in the row may be cropped
+    const lastWidth = await tileReader.width(buildTileUrl(settings, maxLevel, 'f', 0, columns - 1));
+    if (columns > 1) {
+        settings.tileResolution = await tileReader.width(buildTileUrl(settings, maxLevel, 'f', 0, 0));
+    } else {
+        settings.tileResolution = Math.max(settings.tileResolution, lastWidth);
+    }
+    
+    settings.maxLevel = maxLevel;
+    settings.cubeResolution = (columns - 1) * settings.tileResolution + lastWidth;
+    delete settings.basePath;
+    return settings;
+}
+
+/**
+ * Check whether a tile exists on the server
+ * @param {string} url - Tile URL
+ * @returns {Promise<boolean>} True if the server returned the tile
+ */
+async function tileExists(url) {
+    try {
+        const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+        return response.ok;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Load a tile image to read its width
+ * @param {string} url - Tile URL
+ * @returns {Promise<number>} Width of the tile in pixels
+ */
+function loadTileWidth(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image.naturalWidth);
+        image.onerror = () => reject(new Error(`Could not load tile "${url}"`));
+        image.src = url;
+    });
+}
+
+/**
+ * ===================================================================
+ * PANORAMA TILING
+ * ===================================================================
+ */
+/**
+ * Generate multires tiles from the equirectangular image picked in the Add Scene modal
+ * The tiles are made in a worker, written to a picked folder or kept in this browser,
+ * and the tiling fields are filled in from the result
+ */
+async function generateSceneTiles() {
+    const file = document.getElementById('newSceneTilerFile').files[0];
+    const keepInBrowser = document.getElementById('newSceneTilerTarget').value === 'browser';
+    const button = document.getElementById('newSceneGenerateTiles');
+    const status = document.getElementById('newSceneTilerStatus');
+    const pathField = document.getElementById('newScenePath');
+    
+    if (!file) {
+        alert('Please choose or drop an equirectangular image first');
+        return;
+    }
+    
+    if (!window.Worker || !window.OffscreenCanvas) {
+        alert('This browser cannot generate tiles. Please use a current version of Chrome, Edge, Firefox or Safari.');
+        return;
+    }
+    
+    // Tiles belong in the panorama folder; name it after the scene or the image when empty
+    if (!pathField.value.trim()) {
+        const name = document.getElementById('newSceneId').value.trim() || file.name.replace(/\.[^.]*$/, '');
+        pathField.value = `./${name}/`;
+    }
+    const basePath = pathField.value.trim().replace(/\/?$/, '/');
+    const folderKey = getPanoramaFolderKey(resolveScenePath({}, basePath));
+    pathField.value = basePath;
+    
+    const settings = readMultiResFields('newScene');
+    if (!TILER_IMAGE_TYPES[settings.extension]) {
+        settings.extension = 'jpg';
+    }
+    
+    let saveFile;
+    let folderName = 'this browser';
+    const storageKey = getStoredTilesKey(folderKey, keepInBrowser);
+    if (keepInBrowser) {
+        if (!folderKey || isExternalUrl(folderKey)) {
+            alert('Please enter a panorama folder path inside the tour, like ./Panorama_folder/');
+            return;
+        }
+        saveFile = (path, blob) => storeGeneratedFile(storageKey + path, blob);
+    } else {
+        if (!window.showDirectoryPicker) {
+            alert('This browser cannot write files to a folder. Keep the tiles in this browser instead.');
+            return;
+        }
+        
+        let directory;
+        try {
+            directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+        } catch (error) {
+            // The picker was cancelled
+            return;
+        }
+        saveFile = createFolderWriter(directory);
+        folderName = `"${directory.name}"`;
+    }
+    
+    button.disabled = true;
+    status.className = 'detect-status';
+    status.textContent = 'Reading image...';
+    
+    const record = { tourId: getTourStorageId(), folderKey: folderKey, probePath: null, preview: null, faces: [], createdAt: Date.now() };
+    const job = { stopped: null, stopWorker: null };
+    let saving = Promise.resolve();
+    let saved = 0;
+    let fileCount = 0;
+    tilerJob = job;
+    
+    try {
+        // Tiles this tour kept in the browser for the folder would hide the new ones
+        if (keepInBrowser || generatedPanoramas.has(storageKey)) {
+            await clearStoredTiles(storageKey);
+        }
+        
+        const options = { tileResolution: settings.tileResolution, type: TILER_IMAGE_TYPES[settings.extension], quality: TILER_QUALITY };
+        const result = await runTiler(file, options, job, (message) => {
+            if (message.type === 'info') {
+                fileCount = message.fileCount - (settings.fallbackPath ? 0 : CUBE_FACE_LETTERS.length);
+                status.textContent = `Generating ${fileCount} files...`;
+                return;
+            }
+            
+            if (message.kind === 'preview') {
+                record.preview = message.blob;
+            } else if (message.kind === 'fallback') {
+                record.faces[CUBE_FACE_LETTERS.indexOf(message.face)] = message.blob;
+            }
+            
+            const path = getTilerFilePath(settings, message);
+            if (!path) return;
+            if (message.kind === 'tile' && !record.probePath) {
+                record.probePath = path;
+            }
+            
+            // Files are saved one at a time, in the order they are generated;
+            // files still queued when the generation stops are not written
+            saving = saving.then(async () => {
+                if (job.stopped) return;
+                await saveFile(path, message.blob);
+                saved++;
+                status.textContent = `Saving files... ${saved} of ${fileCount}`;
+            }).catch(error => stopTileGeneration(job, error));
+        });
+        await saving;
+        if (job.stopped) {
+            throw job.stopped;
+        }
+        tilerJob = null;
+        
+        let shownFrom = '';
+        if (keepInBrowser) {
+            await storeGeneratedPanorama(storageKey, record);
+            const generated = registerGeneratedPanorama(storageKey, record);
+            await checkGeneratedPanoramaFiles(generated);
+            if (!generated.filesMissing) {
+                shownFrom = '. The folder already has tiles on the server, which are shown instead';
+            }
+        }
+        
+        fillMultiResFields('newScene', Object.assign(settings, {
+            maxLevel: result.maxLevel,
+            cubeResolution: result.cubeResolution
+        }));
+        document.getElementById('newScenePreview').value = basePath + 'preview.' + settings.extension;
+        status.textContent = `Saved ${fileCount} files to ${folderName}: ${result.maxLevel} levels, cube resolution ${result.cubeResolution}${shownFrom}`;
+    } catch (error) {
+        stopTileGeneration(job, error);
+        await saving;
+        
+        // Files of an unfinished generation have no panorama record to show them
+        if (keepInBrowser) {
+            await clearStoredTiles(storageKey).catch(clearError => console.error('Error removing unfinished tiles:', clearError));
+        }
+        
+        console.error('Error generating tiles:', error);
+        status.className = 'detect-status error';
+        status.textContent = 'Error generating tiles: ' + error.message;
+    } finally {
+        if (tilerJob === job) {
+            tilerJob = null;
+        }
+        button.disabled = false;
+    }
+}
+
+/**
+ * Run the tiler worker on an image
+ * While it runs, job.stopWorker ends the worker and rejects with the given error
+ * @param {File} file - Equirectangular image
+ * @param {Object} options - {tileResolution, type, quality}
+ * @param {Object} job - Tile generation the worker belongs to
+ * @param {Function} onMessage - Called with the worker's info message and every file message
+ * @returns {Promise<Object>} The info message with cubeResolution, maxLevel and fileCount
+ */
+function runTiler(file, options, job, onMessage) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(TILER_WORKER_URL);
+        let info = null;
+        
+        const finish = (error) => {
+            worker.terminate();
+            job.stopWorker = null;
+            if (error) {
+                reject(error);
+            } else {
+                resolve(info);
+            }
+        };
+        job.stopWorker = finish;
+        
+        worker.addEventListener('message', (e) => {
+            const message = e.data;
+            if (message.type === 'done') {
+                finish(null);
+            } else if (message.type === 'error') {
+                finish(new Error(message.message));
+            } else {
+                if (message.type === 'info') info = message;
+                onMessage(message);
+            }
+        });
+        worker.addEventListener('error', (e) => {
+            finish(new Error(e.message || `Could not start ${TILER_WORKER_URL}`));
+        });
+        
+        worker.postMessage(Object.assign({ file: file }, options));
+    });
+}
+
+/**
+ * Stop the running tile generation, e.g. when the Add Scene modal is closed
+ */
+function cancelSceneTiling() {
+    if (tilerJob) {
+        stopTileGeneration(tilerJob, new Error('Cancelled'));
+    }
+}
+
+/**
+ * Stop a tile generation: the worker ends and files that are still queued are not saved
+ * Only the first reason is kept, so a failed save isn't hidden by the errors that follow it
+ * @param {Object} job - Tile generation
+ * @param {Error} error - Why the generation stops
+ */
+function stopTileGeneration(job, error) {
+    if (job.stopped) return;
+    
+    job.stopped = error;
+    if (job.stopWorker) {
+        job.stopWorker(error);
+    }
+}
+
+/**
+ * Get where a file made by the tiler goes, relative to the panorama folder
+ * @param {Object} settings - Tiling settings with path, fallbackPath and extension
+ * @param {Object} message - File message of the tiler worker
+ * @returns {string|null} File path, or null for fallback faces when the scene has no fallback path
+ */
+function getTilerFilePath(settings, message) {
+    if (message.kind === 'preview') {
+        return 'preview.' + settings.extension;
+    }
+    
+    if (message.kind === 'fallback') {
+        if (!settings.fallbackPath) return null;
+        return normalizePackagePath(settings.fallbackPath.replace(/%s/g, message.face) + '.' + settings.extension);
+    }
+    
+    const relative = Object.assign({}, settings, { basePath: '' });
+    return normalizePackagePath(buildTileUrl(relative, message.level, message.face, message.y, message.x));
+}
+
+/**
+ * Create a function that writes files into a picked folder, making subfolders as needed
+ * @param {FileSystemDirectoryHandle} directory - Folder to write into
+ * @returns {Function} Called with a path inside the folder and a Blob; returns a Promise
+ */
+function createFolderWriter(directory) {
+    const folders = new Map([['', directory]]);
+    
+    const getFolder = async (path) => {
+        if (!folders.has(path)) {
+            const slash = path.lastIndexOf('/');
+            const parent = await getFolder(slash === -1 ? '' : path.substring(0, slash));
+            folders.set(path, await parent.getDirectoryHandle(path.substring(slash + 1), { create: true }));
+        }
+        return folders.get(path);
+    };
+    
+    return async (path, blob) => {
+        const slash = path.lastIndexOf('/');
+        const folder = await getFolder(slash === -1 ? '' : path.substring(0, slash));
+        const handle = await folder.getFileHandle(path.substring(slash + 1), { create: true });
+        const writable = await handle.createWritable();
+        await writable.write(blob);
+        await writable.close();
+    };
+}
+
+/**
+ * Show a file drop on the tiler's drop zone
+ * @param {DragEvent} e - Drag event
+ */
+function handleTilerDragOver(e) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    e.currentTarget.classList.add('drag-over');
+}
+
+/**
+ * Use an image dropped on the tiler's drop zone
+ * @param {DragEvent} e - Drop event
+ */
+function handleTilerDrop(e) {
+    e.preventDefault();
+    e.currentTarget.classList.remove('drag-over');
+    
+    if (e.dataTransfer.files.length > 0) {
+        document.getElementById('newSceneTilerFile').files = e.dataTransfer.files;
+    }
+}
+
+/**
+ * Get the key of a panorama folder in browser storage
+ * @param {string} path - Folder path relative to the editor
+ * @returns {string} Normalized path ending with a slash, or an empty string for the editor's own folder
+ */
+function getPanoramaFolderKey(path) {
+    const key = normalizePackagePath(path);
+    return key && !key.endsWith('/') ? key + '/' : key;
+}
+
+/**
+ * Get the ID that scopes the tiles a tour keeps in this browser
+ * The ID is kept in the tour's editor block, so other tours never see the tiles
+ * @param {boolean} [create=false] - Give the tour an ID if it has none
+ * @returns {string|null} Tour ID, or null if the tour has none
+ */
+function getTourStorageId(create = false) {
+    if (tourConfig.editor && tourConfig.editor.tourId) {
+        return tourConfig.editor.tourId;
+    }
+    if (!create) return null;
+    
+    tourConfig.editor = tourConfig.editor || {};
+    tourConfig.editor.tourId = 'tour_' + Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+    return tourConfig.editor.tourId;
+}
+
+/**
+ * Get the browser storage key of a panorama folder of the current tour
+ * Stored files are keyed by this key followed by their path inside the folder
+ * @param {string} folderKey - Panorama folder key
+ * @param {boolean} [create=false] - Give the tour a storage ID if it has none
+ * @returns {string|null} Storage key, or null if the tour has no storage ID
+ */
+function getStoredTilesKey(folderKey, create = false) {
+    const tourId = getTourStorageId(create);
+    return tourId ? `${tourId}:${folderKey}` : null;
+}
+
+/**
+ * Find the tiles the current tour keeps in this browser for a scene
+ * @param {Object} scene - Scene configuration
+ * @returns {Object|null} {key, tourId, folderKey, preview, faces, filesMissing}, or null if the scene's tiles aren't stored
+ */
+function findStoredPanorama(scene) {
+    if (generatedPanoramas.size === 0 || !scene || !scene.multiRes) return null;
+    
+    const folderKey = getPanoramaFolderKey(resolveScenePath(scene, scene.multiRes.basePath || ''));
+    return generatedPanoramas.get(getStoredTilesKey(folderKey)) || null;
+}
+
+/**
+ * Find the tiles kept in this browser that stand in for a scene's files
+ * Stored tiles are only used while the folder's files can't be loaded from the server
+ * @param {Object} scene - Scene configuration
+ * @returns {Object|null} {key, preview, faces} with object URLs, or null if the scene's files are used
+ */
+function findGeneratedPanorama(scene) {
+    const generated = findStoredPanorama(scene);
+    return generated && generated.filesMissing ? generated : null;
+}
+
+/**
+ * Show a panorama whose tiles are kept in this browser
+ * Pannellum can only load tiles by URL, so the viewer's copy of the scene becomes a cube map of the fallback faces
+ * @param {Object} scene - Copy of a scene configuration, updated in place
+ */
+function useGeneratedPanorama(scene) {
+    const generated = findGeneratedPanorama(scene);
+    if (!generated) return;
+    
+    scene.type = 'cubemap';
+    scene.cubeMap = generated.faces.slice();
+    scene.preview = generated.preview;
+    delete scene.multiRes;
+}
+
+/**
+ * Make the stored preview and faces of a panorama available to the viewer
+ * Whether the folder's files are on the server is unknown until checkGeneratedPanoramaFiles runs
+ * @param {string} storageKey - Key from getStoredTilesKey
+ * @param {Object} record - {tourId, folderKey, probePath, preview, faces, createdAt} with Blobs
+ * @returns {Object} The registered panorama
+ */
+function registerGeneratedPanorama(storageKey, record) {
+    forgetGeneratedPanorama(storageKey);
+    
+    const generated = {
+        key: storageKey + '#' + record.createdAt,
+        tourId: record.tourId,
+        folderKey: record.folderKey,
+        probePath: record.probePath,
+        preview: URL.createObjectURL(record.preview),
+        faces: record.faces.map(face => URL.createObjectURL(face)),
+        filesMissing: null
+    };
+    generatedPanoramas.set(storageKey, generated);
+    return generated;
+}
+
+/**
+ * Stop showing a stored panorama and release its object URLs
+ * @param {string} storageKey - Key from getStoredTilesKey
+ */
+function forgetGeneratedPanorama(storageKey) {
+    const previous = generatedPanoramas.get(storageKey);
+    if (!previous) return;
+    
+    URL.revokeObjectURL(previous.preview);
+    previous.faces.forEach(url => URL.revokeObjectURL(url));
+    generatedPanoramas.delete(storageKey);
+}
+
+/**
+ * Check whether the server has the files of a panorama tiled into this browser
+ * The first tile that was generated stands for the whole folder
+ * @param {Object} generated - Panorama from registerGeneratedPanorama, updated in place
+ * @returns {Promise} Resolves when checked
+ */
+async function checkGeneratedPanoramaFiles(generated) {
+    generated.filesMissing = !generated.probePath || !await tileExists(generated.folderKey + generated.probePath);
+}
+
+/**
+ * Load the panoramas tiled into this browser on earlier visits
+ * Each is checked against the server, so stored tiles don't hide files that were uploaded since
+ */
+async function loadGeneratedPanoramas() {
+    if (!await openTileDb()) return;
+    
+    try {
+        const storageKeys = await runTileStoreRequest(TILE_PANORAMA_STORE_NAME, 'readonly', store => store.getAllKeys());
+        const records = await runTileStoreRequest(TILE_PANORAMA_STORE_NAME, 'readonly', store => store.getAll());
+        const loaded = storageKeys.map((storageKey, index) => registerGeneratedPanorama(storageKey, records[index]));
+        await Promise.all(loaded.map(checkGeneratedPanoramaFiles));
+    } catch (error) {
+        console.error('Error loading stored tiles:', error);
+    }
+}
+
+/**
+ * Remove the tiles the current scene's folder keeps in this browser, from the Edit Scene modal
+ * The scene shows its files from the server again
+ */
+async function removeSceneStoredTiles() {
+    const generated = findStoredPanorama(tourConfig.scenes[currentScene]);
+    if (!generated) return;
+    
+    if (!confirm(`Remove the tiles of "${generated.folderKey}" kept in this browser?\n\nThe scene will load its files from the server, so copy them there first.`)) {
+        return;
+    }
+    
+    try {
+        await clearStoredTiles(getStoredTilesKey(generated.folderKey));
+    } catch (error) {
+        alert('Could not remove the stored tiles: ' + error.message);
+        return;
+    }
+    
+    updateStoredTilesNote();
+    refreshEditorFromConfig(currentScene);
+}
+
+/**
+ * Remove the tiles of every tour kept in this browser, from the Add Scene modal
+ */
+async function removeAllStoredTiles() {
+    const count = generatedPanoramas.size;
+    if (count === 0) {
+        alert('No tiles are kept in this browser');
+        return;
+    }
+    
+    if (!confirm(`Remove the tiles of ${count} panorama folder(s) kept in this browser, including those of other tours?\n\nScenes will load their files from the server, so copy them there first.`)) {
+        return;
+    }
+    
+    try {
+        await runTileStoreRequest(TILE_FILE_STORE_NAME, 'readwrite', store => store.clear());
+        await runTileStoreRequest(TILE_PANORAMA_STORE_NAME, 'readwrite', store => store.clear());
+    } catch (error) {
+        alert('Could not remove the stored tiles: ' + error.message);
+        return;
+    }
+    
+    Array.from(generatedPanoramas.keys()).forEach(forgetGeneratedPanorama);
+    document.getElementById('newSceneTilerStatus').textContent = `Removed the tiles of ${count} panorama folder(s)`;
+    refreshEditorFromConfig(currentScene);
+}
+
+/**
+ * Show or hide the Edit Scene modal's note about tiles kept in this browser
+ */
+function updateStoredTilesNote() {
+    const generated = findStoredPanorama(tourConfig.scenes[currentScene]);
+    const note = document.getElementById('editSceneStoredTiles');
+    note.style.display = generated ? 'block' : 'none';
+    if (generated) {
+        document.getElementById('editSceneStoredTilesText').textContent = generated.filesMissing
+            ? `The tiles of "${generated.folderKey}" are kept in this browser and shown until the files are on the server.`
+            : `This browser also keeps tiles of "${generated.folderKey}"; the files on the server are shown.`;
+    }
+}
+
+/**
+ * Open the IndexedDB database that keeps tiles generated into the browser
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB isn't available
+ */
+function openTileDb() {
+    if (!tileDbPromise) {
+        tileDbPromise = new Promise(resolve => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+            
+            const request = indexedDB.open(TILE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(TILE_FILE_STORE_NAME);
+                request.result.createObjectStore(TILE_PANORAMA_STORE_NAME);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+        });
+    }
+    return tileDbPromise;
+}
+
+/**
+ * Run a request on one of the tile stores
+ * Unlike thumbnails, failures are reported, since a full disk loses generated tiles
+ * @param {string} storeName - Object store name
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result once the transaction is complete
+ */
+async function runTileStoreRequest(storeName, mode, makeRequest) {
+    const db = await openTileDb();
+    if (!db) {
+        throw new Error('This browser cannot store tiles');
+    }
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onabort = () => reject(transaction.error || new Error('Storing tiles failed'));
+    });
+}
+
+/**
+ * Save a generated file in this browser
+ * @param {string} path - File path relative to the editor
+ * @param {Blob} blob - File contents
+ * @returns {Promise} Resolves when saved
+ */
+function storeGeneratedFile(path, blob) {
+    return runTileStoreRequest(TILE_FILE_STORE_NAME, 'readwrite', store => store.put(blob, path));
+}
+
+/**
+ * Save the preview and faces of a panorama tiled into this browser
+ * @param {string} storageKey - Key from getStoredTilesKey
+ * @param {Object} record - {tourId, folderKey, probePath, preview, faces, createdAt} with Blobs
+ * @returns {Promise} Resolves when saved
+ */
+function storeGeneratedPanorama(storageKey, record) {
+    return runTileStoreRequest(TILE_PANORAMA_STORE_NAME, 'readwrite', store => store.put(record, storageKey));
+}
+
+/**
+ * Remove the stored files of a panorama folder, when it is tiled again or the user removes them
+ * @param {string} storageKey - Key from getStoredTilesKey
+ * @returns {Promise} Resolves when removed
+ */
+async function clearStoredTiles(storageKey) {
+    await runTileStoreRequest(TILE_FILE_STORE_NAME, 'readwrite', store => store.delete(IDBKeyRange.bound(storageKey, storageKey + '\uffff')));
+    await runTileStoreRequest(TILE_PANORAMA_STORE_NAME, 'readwrite', store => store.delete(storageKey));
+    forgetGeneratedPanorama(storageKey);
+}
+
+/**
+ * Read a file generated into this browser, for the tour package
+ * Only folders of the current tour whose files aren't on the server are read from storage
+ * @param {string} path - File path relative to the editor
+ * @returns {Promise<Uint8Array|null>} File contents, or null if it isn't stored
+ */
+async function readGeneratedFile(path) {
+    path = normalizePackagePath(path);
+    const tourId = getTourStorageId();
+    const generated = Array.from(generatedPanoramas.values()).find(panorama =>
+        panorama.filesMissing && panorama.tourId === tourId && path.indexOf(panorama.folderKey) === 0);
+    if (!generated) return null;
+    
+    try {
+        const blob = await runTileStoreRequest(TILE_FILE_STORE_NAME, 'readonly', store => store.get(`${tourId}:${path}`));
+        return blob ? new Uint8Array(await blob.arrayBuffer()) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * ===================================================================
+ * BULK SCENE IMPORT
+ * ===================================================================
+ */
+/**
+ * Show the modal for adding many tiled panoramas as scenes at once
+ */
+function showBulkSceneModal() {
+    bulkSceneRows = [];
+    bulkSceneFolder = null;
+    document.getElementById('bulkSceneFolderName').textContent = '';
+    document.getElementById('bulkSceneStatus').textContent = '';
+    renderBulkSceneTable();
+    updateBulkSceneSourceFields();
+    bulkSceneModal.style.display = 'flex';
+}
+
+/**
+ * Hide the bulk scene modal
+ */
+function hideBulkSceneModal() {
+    bulkSceneModal.style.display = 'none';
+    bulkSceneFolder = null;
+}
+
+/**
+ * Show the fields of the chosen place to look for panorama folders
+ */
+function updateBulkSceneSourceFields() {
+    const source = document.getElementById('bulkSceneSource').value;
+    bulkSceneModal.querySelectorAll('.bulk-scene-source').forEach(group => {
+        group.style.display = group.dataset.bulkSource === source ? 'block' : 'none';
+    });
+}
+
+/**
+ * Pick a folder on this computer to look for panorama folders in
+ * Uses the File System Access API where the browser has it, a directory input otherwise
+ */
+async function pickBulkSceneFolder() {
+    if (!window.showDirectoryPicker) {
+        document.getElementById('bulkSceneFolderInput').click();
+        return;
+    }
+    
+    let directory;
+    try {
+        directory = await window.showDirectoryPicker();
+    } catch (error) {
+        // The picker was cancelled
+        return;
+    }
+    
+    document.getElementById('bulkSceneStatus').textContent = `Reading "${directory.name}"...`;
+    bulkSceneFolder = { name: directory.name, files: await listDirectoryFiles(directory, '', 0) };
+    document.getElementById('bulkSceneFolderName').textContent = directory.name;
+    detectBulkScenes();
+}
+
+/**
+ * Use the files of a folder picked with the directory input
+ * @param {Event} e - File input change event
+ */
+function handleBulkSceneFolderInput(e) {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length === 0) return;
+    
+    // Paths start with the picked folder's name
+    const name = files[0].webkitRelativePath.split('/')[0];
+    const index = {};
+    files.forEach(file => {
+        const path = normalizePackagePath(file.webkitRelativePath);
+        index[path.substring(path.indexOf('/') + 1)] = file;
+    });
+    
+    bulkSceneFolder = { name: name, files: index };
+    document.getElementById('bulkSceneFolderName').textContent = name;
+    detectBulkScenes();
+}
+
+/**
+ * List the files of a folder picked with the File System Access API
+ * @param {FileSystemDirectoryHandle} directory - Folder to list
+ * @param {string} prefix - Path of the folder inside the picked folder
+ * @param {number} depth - Number of folders above this one inside the picked folder
+ * @returns {Promise<Object>} Map of path inside the picked folder to file handle
+ */
+async function listDirectoryFiles(directory, prefix, depth) {
+    const files = {};
+    for await (const [name, handle] of directory.entries()) {
+        if (handle.kind === 'file') {
+            files[prefix + name] = handle;
+        } else if (depth < BULK_SCENE_FOLDER_DEPTH) {
+            Object.assign(files, await listDirectoryFiles(handle, prefix + name + '/', depth + 1));
+        }
+    }
+    return files;
+}
+
+/**
+ * Find the folders of a picked folder that contain a level 1 front tile
+ * @param {Object} files - Map of path inside the picked folder to file
+ * @returns {Array<string>} Folder paths inside the picked folder, '' for the picked folder itself
+ */
+function findLocalTileFolders(files) {
+    const defaults = getSceneDefaults();
+    const extensions = [defaults.extension].concat(TILE_EXTENSIONS.filter(ext => ext !== defaults.extension));
+    const firstTiles = extensions.map(extension => buildTileUrl(Object.assign({}, defaults, { basePath: '', extension: extension }), 1, 'f', 0, 0));
+    const folders = new Set();
+    
+    Object.keys(files).forEach(path => {
+        firstTiles.forEach(tile => {
+            if (path === tile || path.endsWith('/' + tile)) {
+                folders.add(path.substring(0, path.length - tile.length));
+            }
+        });
+    });
+    
+    return Array.from(folders).sort();
+}
+
+/**
+ * Build a tile reader for probeTileFolder that reads a picked folder instead of the server
+ * @param {Object} files - Map of path inside the picked folder to File or file handle
+ * @returns {Object} Tile reader with exists(url) and width(url)
+ */
+function createLocalTileReader(files) {
+    return {
+        exists: async (url) => !!files[normalizePackagePath(url)],
+        width: async (url) => {
+            const entry = files[normalizePackagePath(url)];
+            const file = entry.getFile ? await entry.getFile() : entry;
+            const objectUrl = URL.createObjectURL(file);
+            try {
+                return await loadTileWidth(objectUrl);
+            } finally {
+                URL.revokeObjectURL(objectUrl);
+            }
+        }
+    };
+}
+
+/**
+ * Read the subfolders from a server's directory listing page
+ * @param {string} url - Directory URL
+ * @returns {Promise<Array<string>>} Subfolder paths starting with the directory URL
+ */
+async function listServerFolders(url) {
+    const base = url.replace(/\/?$/, '/');
+    const response = await fetch(base, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`The server returned ${response.status} for "${base}"`);
+    }
+    
+    const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+    const baseUrl = new URL(base, window.location.href);
+    const folders = [];
+    
+    page.querySelectorAll('a[href]').forEach(link => {
+        // Listings link subfolders with a trailing slash; keep only direct children of the directory
+        const linkUrl = new URL(link.getAttribute('href'), baseUrl);
+        if (linkUrl.origin !== baseUrl.origin || !linkUrl.pathname.startsWith(baseUrl.pathname)) return;
+        
+        const child = linkUrl.pathname.substring(baseUrl.pathname.length);
+        if (/^[^/]+\/$/.test(child) && !folders.includes(base + child)) {
+            folders.push(base + child);
+        }
+    });
+    
+    return folders;
+}
+
+/**
+ * Get the last name in a folder path, decoded for use as a scene ID
+ * @param {string} path - Folder path
+ * @returns {string} Folder name
+ */
+function getFolderName(path) {
+    const name = path.replace(/\/+$/, '').split('/').pop();
+    try {
+        return decodeURIComponent(name);
+    } catch (error) {
+        return name;
+    }
+}
+
+/**
+ * Look for tiled panoramas in the chosen place and list them for review
+ * Each folder is probed like the Detect button of the scene modals, with the tour's default tiling
+ */
+async function detectBulkScenes() {
+    const source = document.getElementById('bulkSceneSource').value;
+    const status = document.getElementById('bulkSceneStatus');
+    const button = document.getElementById('bulkSceneDetect');
+    const tiling = getSceneDefaults();
+    let folders;
+    let tileReader;
+    
+    button.disabled = true;
+    status.textContent = 'Looking for panoramas...';
+    
+    try {
+        if (source === 'paths') {
+            folders = document.getElementById('bulkScenePaths').value.split('\n')
+                .map(line => line.trim())
+                .filter(line => line)
+                .map(line => ({ basePath: line.replace(/\/?$/, '/'), probePath: line.replace(/\/?$/, '/') }));
+        } else if (source === 'listing') {
+            const url = document.getElementById('bulkSceneListing').value.trim();
+            if (!url) {
+                alert('Please enter the directory URL');
+                status.textContent = '';
+                return;
+            }
+            folders = (await listServerFolders(url)).map(path => ({ basePath: path, probePath: path }));
+        } else {
+            if (!bulkSceneFolder) {
+                alert('Please pick a folder first');
+                status.textContent = '';
+                return;
+            }
+            const folderPath = document.getElementById('bulkSceneFolderPath').value.trim();
+            const serverPath = folderPath ? folderPath.replace(/\/?$/, '/') : '';
+            folders = findLocalTileFolders(bulkSceneFolder.files).map(path => ({
+                basePath: serverPath + path,
+                probePath: path,
+                name: path ? null : bulkSceneFolder.name
+            }));
+            tileReader = createLocalTileReader(bulkSceneFolder.files);
+        }
+        
+        const rows = [];
+        const missing = [];
+        const takenIds = Object.assign({}, tourConfig.scenes);
+        
+        for (let i = 0; i < folders.length; i++) {
+            const folder = folders[i];
+            status.textContent = `Checking folder ${i + 1} of ${folders.length}...`;
+            
+            const settings = await probeTileFolder(Object.assign({}, tiling, { basePath: folder.probePath }), tileReader);
+            if (!settings) {
+                missing.push(folder.basePath);
+                continue;
+            }
+            
+            const sceneId = createUniqueSceneId(folder.name || getFolderName(folder.basePath), takenIds);
+            takenIds[sceneId] = true;
+            rows.push({ sceneId: sceneId, basePath: folder.basePath, settings: settings, include: true });
+        }
+        
+        bulkSceneRows = rows;
+        status.textContent = `Found ${rows.length} panorama${rows.length === 1 ? '' : 's'}` +
+            (missing.length > 0 ? `; no tiles in ${missing.join(', ')}` : '');
+    } catch (error) {
+        bulkSceneRows = [];
+        status.textContent = 'Error looking for panoramas: ' + error.message;
+    } finally {
+        button.disabled = false;
+        renderBulkSceneTable();
+    }
+}
+
+/**
+ * Show the found panoramas with editable scene IDs
+ */
+function renderBulkSceneTable() {
+    const table = document.getElementById('bulkSceneTable');
+    const body = table.querySelector('tbody');
+    body.innerHTML = '';
+    
+    bulkSceneRows.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><input type="checkbox" class="bulk-scene-include" ${row.include ? 'checked' : ''}></td>
+            <td><input type="text" class="form-input bulk-scene-id"></td>
+            <td class="bulk-scene-folder"></td>
+            <td>${row.settings.maxLevel} levels, ${row.settings.cubeResolution}px ${row.settings.extension}</td>
+        `;
+        tr.querySelector('.bulk-scene-id').value = row.sceneId;
+        tr.querySelector('.bulk-scene-folder').textContent = row.basePath;
+        
+        tr.querySelector('.bulk-scene-include').addEventListener('change', (e) => {
+            row.include = e.target.checked;
+            updateBulkSceneTableState();
+        });
+        tr.querySelector('.bulk-scene-id').addEventListener('input', (e) => {
+            row.sceneId = e.target.value.trim();
+            updateBulkSceneTableState();
+        });
+        
+        body.appendChild(tr);
+    });
+    
+    table.style.display = bulkSceneRows.length > 0 ? 'table' : 'none';
+    updateBulkSceneTableState();
+}
+
+/**
+ * Check the scene IDs of the included panoramas
+ * @returns {string|null} First problem found, or null if the scenes can be added
+ */
+function validateBulkSceneRows() {
+    const included = bulkSceneRows.filter(row => row.include);
+    if (included.length === 0) {
+        return 'Please select at least one panorama';
+    }
+    
+    for (const row of included) {
+        if (!/^[a-zA-Z0-9_-]+$/.test(row.sceneId)) {
+            return `Scene ID "${row.sceneId}" can only contain letters, numbers, underscores, and hyphens`;
+        }
+        if (tourConfig.scenes[row.sceneId]) {
+            return `Scene ID "${row.sceneId}" already exists`;
+        }
+        if (included.filter(other => other.sceneId === row.sceneId).length > 1) {
+            return `Scene ID "${row.sceneId}" is used more than once`;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Mark invalid scene IDs and enable the Add button when the included rows can be added
+ */
+function updateBulkSceneTableState() {
+    const included = bulkSceneRows.filter(row => row.include);
+    const rows = document.querySelectorAll('#bulkSceneTable tbody tr');
+    
+    bulkSceneRows.forEach((row, index) => {
+        const duplicate = included.filter(other => other.sceneId === row.sceneId).length > 1;
+        const invalid = row.include && (!/^[a-zA-Z0-9_-]+$/.test(row.sceneId) || !!tourConfig.scenes[row.sceneId] || duplicate);
+        rows[index].querySelector('.bulk-scene-id').classList.toggle('invalid', invalid);
+    });
+    
+    const selectAll = document.getElementById('bulkSceneAll');
+    selectAll.checked = bulkSceneRows.length > 0 && included.length === bulkSceneRows.length;
+    selectAll.indeterminate = included.length > 0 && included.length < bulkSceneRows.length;
+    
+    const button = document.getElementById('confirmBulkScenes');
+    button.disabled = included.length === 0;
+    button.textContent = included.length > 0 ? `Add ${included.length} Scene${included.length === 1 ? '' : 's'}` : 'Add Scenes';
+}
+
+/**
+ * Include or leave out all found panoramas
+ * @param {boolean} include - New state
+ */
+function includeAllBulkScenes(include) {
+    bulkSceneRows.forEach(row => {
+        row.include = include;
+    });
+    renderBulkSceneTable();
+}
+
+/**
+ * Create scenes for the included panoramas and append them to the scene order
+ */
+function addBulkScenes() {
+    const problem = validateBulkSceneRows();
+    if (problem) {
+        alert(problem);
+        return;
+    }
+    
+    const rows = bulkSceneRows.filter(row => row.include);
+    const wasEmpty = Object.keys(tourConfig.scenes).length === 0;
+    pushHistory(`Add ${rows.length} scene(s) from folders`);
+    
+    rows.forEach(row => {
+        const multiRes = Object.assign({ basePath: row.basePath }, row.settings);
+        
+        // Pannellum only uses fallback tiles when a path is given
+        if (!multiRes.fallbackPath) {
+            delete multiRes.fallbackPath;
+        }
+        
+        tourConfig.scenes[row.sceneId] = {
+            "hfov": 100,
+            "pitch": 0,
+            "yaw": 0,
+            "type": "multires",
+            "preview": buildTileUrl(multiRes, 1, 'f', 0, 0),
+            "multiRes": multiRes,
+            "hotSpots": []
+        };
+        tourConfig.default.sceneOrder.push(row.sceneId);
+    });
+    
+    // Set the first scene only if the tour had no scenes yet
+    if (wasEmpty) {
+        tourConfig.default.firstScene = rows[0].sceneId;
+    }
+    
+    hideBulkSceneModal();
+    refreshEditorFromConfig(rows[0].sceneId);
+}
+
+/**
+ * ===================================================================
+ * SCENE ORDER MANAGEMENT
+ * ===================================================================
+ */
+/**
+ * Initialize scene order array if not present
+ */
+function initializeSceneOrder() {
+    if (!tourConfig.default.sceneOrder || tourConfig.default.sceneOrder.length === 0) {
+        tourConfig.default.sceneOrder = Object.keys(tourConfig.scenes);
+    }
+}
+
+/**
+ * Render the draggable scene order list
+ */
+function renderSceneOrderList() {
+    const container = document.getElementById('sceneOrderList');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    tourConfig.default.sceneOrder.forEach((sceneId, index) => {
+        if (!tourConfig.scenes[sceneId]) return;
+        
+        const item = document.createElement('div');
+        item.className = 'scene-order-item';
+        item.draggable = true;
+        item.dataset.sceneId = sceneId;
+        
+        item.innerHTML = `
+            <span class="drag-handle">≡</span>
+            <span class="scene-name">${sceneId}${currentScene === sceneId ? ' (active)' : ''}</span>
+            <div class="scene-controls">
+                <button class="btn-order-up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button class="btn-order-down" ${index === tourConfig.default.sceneOrder.length - 1 ? 'disabled' : ''}>↓</button>
+            </div>
+        `;
+        
+        // Add drag event listeners
+        item.addEventListener('dragstart', handleDragStart);
+        item.addEventListener('dragover', handleDragOver);
+        item.addEventListener('drop', handleDrop);
+        item.addEventListener('dragend', handleDragEnd);
+        item.addEventListener('dragenter', handleDragEnter);
+        item.addEventListener('dragleave', handleDragLeave);
+        
+        item.insertBefore(createSceneThumbnail(sceneId), item.querySelector('.scene-name'));
+        
+        // Add button event listeners
+        const upBtn = item.querySelector('.btn-order-up');
+        const downBtn = item.querySelector('.btn-order-down');
+        
+        upBtn.addEventListener('click', () => moveScene(sceneId, 'up'));
+        downBtn.addEventListener('click', () => moveScene(sceneId, 'down'));
+        
+        container.appendChild(item);
+    });
+    
+    renderSceneGraph();
+    renderFloorPlanPanel();
+    renderTourSettings();
+    renderHotspotStyles();
+    renderSearchResults();
+    renderThumbnailView();
+}
+
+/**
+ * Reorder scenes according to new order array
+ * @param {Array<string>} newOrder - New scene order
+ */
+function reorderScenes(newOrder) {
+    // Update the order array
+    tourConfig.default.sceneOrder = newOrder;
+    
+    // Rebuild scenes object in new order
+    const reorderedScenes = {};
+    newOrder.forEach(sceneId => {
+        if (tourConfig.scenes[sceneId]) {
+            reorderedScenes[sceneId] = tourConfig.scenes[sceneId];
+        }
+    });
+    tourConfig.scenes = reorderedScenes;
+    
+    // Update navigation index for arrow buttons to work correctly
+    if (viewer) {
+        try {
+            const activeScene = viewer.getScene();
+            if (activeScene) {
+                updateNavigationIndex(activeScene);
+            }
+        } catch (error) {
+            // If we can't get active scene from viewer, use currentScene
+            if (currentScene) {
+                updateNavigationIndex(currentScene);
+            }
+        }
+    }
+    
+    // Update UI
+    renderSceneOrderList();
+    updateSceneDropdowns();
+}
+
+/**
+ * Move a scene up or down in the order
+ * @param {string} sceneId - Scene to move
+ * @param {string} direction - 'up' or 'down'
+ */
+function moveScene(sceneId, direction) {
+    const currentIndex = tourConfig.default.sceneOrder.indexOf(sceneId);
+    if (currentIndex === -1) return;
+    
+    const newOrder = [...tourConfig.default.sceneOrder];
+    
+    if (direction === 'up' && currentIndex > 0) {
+        // Swap with previous item
+        [newOrder[currentIndex - 1], newOrder[currentIndex]] = 
+        [newOrder[currentIndex], newOrder[currentIndex - 1]];
+    } else if (direction === 'down' && currentIndex < newOrder.length - 1) {
+        // Swap with next item
+        [newOrder[currentIndex], newOrder[currentIndex + 1]] = 
+        [newOrder[currentIndex + 1], newOrder[currentIndex]];
+    } else {
+        return;
+    }
+    
+    pushHistory(`Move scene "${sceneId}" ${direction}`);
+    reorderScenes(newOrder);
+}
+
+/**
+ * ===================================================================
+ * DRAG AND DROP HANDLERS
+ * ===================================================================
+ */
+/**
+ * Handle drag start for scene reordering
+ */
+function handleDragStart(e) {
+    draggedSceneId = e.currentTarget.dataset.sceneId;
+    e.currentTarget.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+}
+
+/**
+ * Handle drag over event
+ */
+function handleDragOver(e) {
+    if (e.preventDefault) {
+        e.preventDefault();
+    }
+    e.dataTransfer.dropEffect = 'move';
+    return false;
+}
+
+/**
+ * Handle drag enter event
+ */
+function handleDragEnter(e) {
+    if (e.currentTarget.dataset.sceneId !== draggedSceneId) {
+        e.currentTarget.classList.add('drag-over');
+    }
+}
+
+/**
+ * Handle drag leave event
+ */
+function handleDragLeave(e) {
+    e.currentTarget.classList.remove('drag-over');
+}
+
+/**
+ * Handle drop event for scene reordering
+ */
+function handleDrop(e) {
+    if (e.stopPropagation) {
+        e.stopPropagation();
+    }
+    
+    const targetSceneId = e.currentTarget.dataset.sceneId;
+    
+    if (draggedSceneId && targetSceneId && draggedSceneId !== targetSceneId) {
+        const newOrder = [...tourConfig.default.sceneOrder];
+        const draggedIndex = newOrder.indexOf(draggedSceneId);
+        const targetIndex = newOrder.indexOf(targetSceneId);
+        
+        if (draggedIndex > -1 && targetIndex > -1) {
+            // Remove dragged item
+            newOrder.splice(draggedIndex, 1);
+            // Insert at new position
+            newOrder.splice(targetIndex, 0, draggedSceneId);
+            
+            pushHistory(`Move scene "${draggedSceneId}"`);
+            reorderScenes(newOrder);
+        }
+    }
+    
+    return false;
+}
+
+/**
+ * Clean up after drag operation
+ */
+function handleDragEnd(e) {
+    // Clean up
+    document.querySelectorAll('.scene-order-item').forEach(item => {
+        item.classList.remove('dragging', 'drag-over');
+    });
+    draggedSceneId = null;
+}
+
+/**
+ * Hotspot drag and drop handlers
+ */
+/**
+ * Handle drag start for hotspot reordering
+ */
+function handleHotspotDragStart(e) {
+    draggedHotspotIndex = parseInt(e.currentTarget.dataset.hotspotIndex);
+    e.currentTarget.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+}
+
+/**
+ * Handle drag over for hotspots
+ */
+function handleHotspotDragOver(e) {
+    if (e.preventDefault) {
+        e.preventDefault();
+    }
+    e.dataTransfer.dropEffect = 'move';
+    return false;
+}
+
+/**
+ * Handle drag enter for hotspots
+ */
+function handleHotspotDragEnter(e) {
+    const targetIndex = parseInt(e.currentTarget.dataset.hotspotIndex);
+    if (targetIndex !== draggedHotspotIndex) {
+        e.currentTarget.classList.add('drag-over');
+    }
+}
+
+/**
+ * Handle drag leave for hotspots
+ */
+function handleHotspotDragLeave(e) {
+    e.currentTarget.classList.remove('drag-over');
+}
+
+/**
+ * Handle drop event for hotspot reordering
+ */
+function handleHotspotDrop(e) {
+    if (e.stopPropagation) {
+        e.stopPropagation();
+    }
+    
+    const targetIndex = parseInt(e.currentTarget.dataset.hotspotIndex);
+    
+    if (draggedHotspotIndex !== null && targetIndex !== draggedHotspotIndex) {
+        const hotspots = tourConfig.scenes[currentScene].hotSpots;
+        pushHistory('Reorder hotspots');
+        
+        // Reorder hotspots array
+        const draggedHotspot = hotspots[draggedHotspotIndex];
+        hotspots.splice(draggedHotspotIndex, 1);
+        hotspots.splice(targetIndex, 0, draggedHotspot);
+        
+        // Update UI
+        updateHotspotsList();
+        updateViewerHotspots();
+    }
+    
+    return false;
+}
+
+/**
+ * Clean up after hotspot drag operation
+ */
+function handleHotspotDragEnd(e) {
+    // Clean up
+    document.querySelectorAll('.hotspot-item').forEach(item => {
+        item.classList.remove('dragging', 'drag-over');
+    });
+    draggedHotspotIndex = null;
+}
+
+/**
+ * ===================================================================
+ * SCENE THUMBNAILS
+ * ===================================================================
+ */
+/**
+ * Resolve a scene file path the way Pannellum does, against the scene's or the tour's basePath
+ * @param {Object} scene - Scene configuration
+ * @param {string} path - File path from the scene
+ * @returns {string} URL to load
+ */
+function resolveScenePath(scene, path) {
+    if (isExternalUrl(path) || path.charAt(0) === '/') return path;
+    const basePath = scene.basePath !== undefined ? scene.basePath : (tourConfig.default.basePath || '');
+    return basePath + path;
+}
+
+/**
+ * Get the images a scene thumbnail is made from
+ * Uses the preview image, then the level 1 front face tiles, the equirectangular image or the front cube face
+ * @param {Object} scene - Scene configuration
+ * @returns {Object|null} {key, tiles: [{url, x, y}], tileSize}, or null if the scene has no images
+ */
+function getThumbnailSource(scene) {
+    if (!scene) return null;
+    
+    // Panoramas tiled into this browser have no files to load yet
+    const generated = findGeneratedPanorama(scene);
+    if (generated) {
+        return { key: generated.key, tiles: [{ url: generated.preview, x: 0, y: 0 }], tileSize: 0 };
+    }
+    
+    let tiles = null;
+    let tileSize = 0;
+    if (scene.preview) {
+        tiles = [{ url: resolveScenePath(scene, scene.preview), x: 0, y: 0 }];
+    } else if (scene.multiRes && scene.multiRes.path) {
+        const multiRes = Object.assign({}, scene.multiRes, { basePath: resolveScenePath(scene, scene.multiRes.basePath || '') });
+        const faceSize = multiRes.cubeResolution * Math.pow(2, 1 - multiRes.maxLevel);
+        const tilesPerSide = Math.ceil(faceSize / multiRes.tileResolution);
+        tiles = [];
+        tileSize = multiRes.tileResolution;
+        for (let y = 0; y < tilesPerSide; y++) {
+            for (let x = 0; x < tilesPerSide; x++) {
+                tiles.push({ url: buildTileUrl(multiRes, 1, 'f', y, x), x: x, y: y });
+            }
+        }
+    } else if (scene.panorama) {
+        tiles = [{ url: resolveScenePath(scene, scene.panorama), x: 0, y: 0 }];
+    } else if (Array.isArray(scene.cubeMap) && scene.cubeMap[0]) {
+        tiles = [{ url: resolveScenePath(scene, scene.cubeMap[0]), x: 0, y: 0 }];
+    }
+    
+    if (!tiles) return null;
+    return { key: tiles.map(tile => tile.url).join('|'), tiles: tiles, tileSize: tileSize };
+}
+
+/**
+ * Create the thumbnail element of a scene
+ * Shows a placeholder until the thumbnail is ready; it fills in by itself once generated
+ * @param {string} sceneId - Scene ID
+ * @returns {HTMLElement} Thumbnail element
+ */
+function createSceneThumbnail(sceneId) {
+    const thumbnail = document.createElement('span');
+    thumbnail.className = 'scene-thumbnail';
+    
+    const source = getThumbnailSource(tourConfig.scenes[sceneId]);
+    if (source) {
+        thumbnail.dataset.thumbnailKey = source.key;
+        if (thumbnailCache.get(source.key)) {
+            thumbnail.style.backgroundImage = `url("${thumbnailCache.get(source.key)}")`;
+        } else {
+            requestSceneThumbnail(source);
+        }
+    }
+    
+    return thumbnail;
+}
+
+/**
+ * Queue the generation of a thumbnail unless it is cached or already queued
+ * A thumbnail saved in IndexedDB is used before any image is loaded
+ * @param {Object} source - Thumbnail source from getThumbnailSource
+ */
+function requestSceneThumbnail(source) {
+    if (thumbnailCache.has(source.key)) return;
+    thumbnailCache.set(source.key, null);
+    
+    thumbnailQueue = thumbnailQueue.then(async () => {
+        let url = await readStoredThumbnail(source.key);
+        if (!url) {
+            url = await renderThumbnail(source);
+            await storeThumbnail(source.key, url);
+        }
+        thumbnailCache.set(source.key, url);
+        showThumbnail(source.key, url);
+    }).catch(error => {
+        console.error('Error creating thumbnail:', error);
+    });
+}
+
+/**
+ * Show a finished thumbnail in every element waiting for it
+ * @param {string} key - Thumbnail source key
+ * @param {string} url - Thumbnail data URL
+ */
+function showThumbnail(key, url) {
+    document.querySelectorAll('.scene-thumbnail').forEach(thumbnail => {
+        if (thumbnail.dataset.thumbnailKey === key) {
+            thumbnail.style.backgroundImage = `url("${url}")`;
+        }
+    });
+}
+
+/**
+ * Load an image for drawing on a canvas
+ * @param {string} url - Image URL
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadThumbnailImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Could not load image "${url}"`));
+        image.src = url;
+    });
+}
+
+/**
+ * Draw a scene thumbnail from its source images
+ * Tiles are put together first; the image is then cropped to the thumbnail's aspect ratio
+ * @param {Object} source - Thumbnail source from getThumbnailSource
+ * @returns {Promise<string>} JPEG data URL
+ */
+async function renderThumbnail(source) {
+    const images = await Promise.all(source.tiles.map(tile => loadThumbnailImage(tile.url)));
+    
+    let image = images[0];
+    if (source.tiles.length > 1) {
+        // Tiles at the right and bottom edge may be smaller than the tile size
+        const last = images[images.length - 1];
+        const lastTile = source.tiles[source.tiles.length - 1];
+        image = document.createElement('canvas');
+        image.width = lastTile.x * source.tileSize + last.naturalWidth;
+        image.height = lastTile.y * source.tileSize + last.naturalHeight;
+        const faceContext = image.getContext('2d');
+        source.tiles.forEach((tile, index) => {
+            faceContext.drawImage(images[index], tile.x * source.tileSize, tile.y * source.tileSize);
+        });
+    }
+    
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const scale = Math.max(THUMBNAIL_SIZE.width / width, THUMBNAIL_SIZE.height / height);
+    const cropWidth = THUMBNAIL_SIZE.width / scale;
+    const cropHeight = THUMBNAIL_SIZE.height / scale;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = THUMBNAIL_SIZE.width;
+    canvas.height = THUMBNAIL_SIZE.height;
+    canvas.getContext('2d').drawImage(image, (width - cropWidth) / 2, (height - cropHeight) / 2, cropWidth, cropHeight,
+        0, 0, THUMBNAIL_SIZE.width, THUMBNAIL_SIZE.height);
+    return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+/**
+ * Open the IndexedDB database that stores thumbnails
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB isn't available
+ */
+function openThumbnailDb() {
+    if (!thumbnailDbPromise) {
+        thumbnailDbPromise = new Promise(resolve => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+            
+            const request = indexedDB.open(THUMBNAIL_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(THUMBNAIL_STORE_NAME);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+        });
+    }
+    return thumbnailDbPromise;
+}
+
+/**
+ * Run a request on the thumbnail store
+ * Failures resolve to null so thumbnails still work without storage
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result, or null
+ */
+async function runThumbnailStoreRequest(mode, makeRequest) {
+    const db = await openThumbnailDb();
+    if (!db) return null;
+    
+    return new Promise(resolve => {
+        try {
+            const request = makeRequest(db.transaction(THUMBNAIL_STORE_NAME, mode).objectStore(THUMBNAIL_STORE_NAME));
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+        } catch (error) {
+            console.error('Error accessing thumbnail storage:', error);
+            resolve(null);
+        }
+    });
+}
+
+/**
+ * Read a thumbnail saved on an earlier visit
+ * @param {string} key - Thumbnail source key
+ * @returns {Promise<string|null>} Thumbnail data URL, or null
+ */
+function readStoredThumbnail(key) {
+    return runThumbnailStoreRequest('readonly', store => store.get(key));
+}
+
+/**
+ * Save a thumbnail for later visits
+ * @param {string} key - Thumbnail source key
+ * @param {string} url - Thumbnail data URL
+ * @returns {Promise} Resolves when saved
+ */
+function storeThumbnail(key, url) {
+    return runThumbnailStoreRequest('readwrite', store => store.put(url, key));
+}
+
+/**
+ * Forget all thumbnails and generate them again, e.g. after panorama files were replaced
+ */
+async function refreshSceneThumbnails() {
+    thumbnailCache = new Map();
+    await runThumbnailStoreRequest('readwrite', store => store.clear());
+    renderSceneOrderList();
+    if (addHotspotModal.style.display !== 'none') {
+        renderTargetThumbnails();
+    }
+}
+
+/**
+ * Switch the preview panel between the panorama and the scene thumbnail grid
+ */
+function toggleThumbnailView() {
+    const view = document.getElementById('thumbnailView');
+    const show = view.style.display === 'none';
+    
+    view.style.display = show ? 'block' : 'none';
+    document.getElementById('thumbnailToggleBtn').textContent = show ? 'Panorama' : 'Thumbnails';
+    if (show) {
+        document.getElementById('sceneGraph').style.display = 'none';
+        graphToggleBtn.textContent = 'Graph';
+    }
+    renderThumbnailView();
+}
+
+/**
+ * Render the thumbnail grid with all scenes in scene order
+ */
+function renderThumbnailView() {
+    const view = document.getElementById('thumbnailView');
+    const grid = document.getElementById('thumbnailGrid');
+    if (!view || !grid || view.style.display === 'none') return;
+    
+    grid.innerHTML = '';
+    const sceneIds = (tourConfig.default.sceneOrder || []).filter(sceneId => tourConfig.scenes[sceneId]);
+    Object.keys(tourConfig.scenes).forEach(sceneId => {
+        if (!sceneIds.includes(sceneId)) sceneIds.push(sceneId);
+    });
+    
+    sceneIds.forEach(sceneId => {
+        const scene = tourConfig.scenes[sceneId];
+        const card = document.createElement('button');
+        card.className = 'thumbnail-card' + (sceneId === currentScene ? ' active' : '');
+        card.title = sceneId;
+        card.appendChild(createSceneThumbnail(sceneId));
+        
+        const name = document.createElement('span');
+        name.className = 'thumbnail-card-name';
+        name.innerHTML = `${escapeHtml(sceneId)}${scene.title ? ` <small>${escapeHtml(scene.title)}</small>` : ''}`;
+        card.appendChild(name);
+        
+        // Open the scene in the panorama view
+        card.addEventListener('click', () => {
+            sceneSelect.value = sceneId;
+            selectScene();
+            toggleThumbnailView();
+        });
+        
+        grid.appendChild(card);
+    });
+}
+
+/**
+ * Show the scenes of the hotspot modal's target dropdown as thumbnails to pick from
+ */
+function renderTargetThumbnails() {
+    const targetSelect = document.getElementById('hotspotTarget');
+    const container = document.getElementById('hotspotTargetThumbnails');
+    container.innerHTML = '';
+    
+    Array.from(targetSelect.options).forEach(option => {
+        if (!option.value) return;
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'target-thumbnail';
+        button.dataset.sceneId = option.value;
+        button.title = option.value;
+        button.appendChild(createSceneThumbnail(option.value));
+        button.appendChild(document.createTextNode(option.value));
+        button.addEventListener('click', () => {
+            targetSelect.value = option.value;
+            targetSelect.dispatchEvent(new Event('change'));
+        });
+        container.appendChild(button);
+    });
+    
+    updateTargetThumbnailSelection();
+}
+
+/**
+ * Highlight the thumbnail of the scene picked in the target dropdown
+ */
+function updateTargetThumbnailSelection() {
+    const targetScene = document.getElementById('hotspotTarget').value;
+    document.querySelectorAll('#hotspotTargetThumbnails .target-thumbnail').forEach(button => {
+        button.classList.toggle('selected', button.dataset.sceneId === targetScene);
+    });
+}
+
+/**
+ * ===================================================================
+ * SCENE GRAPH
+ * ===================================================================
+ */
+/**
+ * Switch the preview panel between the panorama and the scene graph
+ */
+function toggleSceneGraph() {
+    const graph = document.getElementById('sceneGraph');
+    const show = graph.style.display === 'none';
+    
+    graph.style.display = show ? 'block' : 'none';
+    graphToggleBtn.textContent = show ? 'Panorama' : 'Graph';
+    if (show) {
+        document.getElementById('thumbnailView').style.display = 'none';
+        document.getElementById('thumbnailToggleBtn').textContent = 'Thumbnails';
+    }
+    renderSceneGraph();
+}
+
+/**
+ * Get the saved graph positions of the scenes
+ * @returns {Object} Map of scene ID to {x, y}; empty if none were saved
+ */
+function getGraphPositions() {
+    const graph = tourConfig.editor && tourConfig.editor.graph;
+    return (graph && graph.positions) || {};
+}
+
+/**
+ * Save the graph position of a scene in the tour's editor metadata
+ * @param {string} sceneId - Scene ID
+ * @param {number} x - Node center x
+ * @param {number} y - Node center y
+ */
+function saveGraphPosition(sceneId, x, y) {
+    tourConfig.editor = tourConfig.editor || {};
+    tourConfig.editor.graph = tourConfig.editor.graph || {};
+    tourConfig.editor.graph.positions = tourConfig.editor.graph.positions || {};
+    tourConfig.editor.graph.positions[sceneId] = { x: Math.round(x), y: Math.round(y) };
+}
+
+/**
+ * Work out where each scene node is drawn
+ * Scenes without a saved position are laid out on a grid in tour order
+ * @returns {Object} Map of scene ID to {x, y}
+ */
+function getGraphLayout() {
+    const saved = getGraphPositions();
+    const sceneOrder = (tourConfig.default.sceneOrder || []).filter(sceneId => tourConfig.scenes[sceneId]);
+    Object.keys(tourConfig.scenes).forEach(sceneId => {
+        if (sceneOrder.indexOf(sceneId) === -1) sceneOrder.push(sceneId);
+    });
+    
+    const columns = Math.max(1, Math.ceil(Math.sqrt(sceneOrder.length)));
+    const layout = {};
+    sceneOrder.forEach((sceneId, index) => {
+        layout[sceneId] = saved[sceneId] || {
+            x: 100 + (index % columns) * (GRAPH_NODE_SIZE.width + 60),
+            y: 60 + Math.floor(index / columns) * (GRAPH_NODE_SIZE.height + 70)
+        };
+    });
+    return layout;
+}
+
+/**
+ * Create an SVG element
+ * @param {string} tagName - SVG tag name
+ * @param {Object} attributes - Attributes to set
+ * @returns {SVGElement} New element
+ */
+function createSvgElement(tagName, attributes) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', tagName);
+    Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+    return element;
+}
+
+/**
+ * Draw the scene graph: scenes as nodes, hotspot links as arrows
+ * Highlights the first scene, one-way links and scenes that can't be reached
+ * Does nothing while the graph is hidden
+ */
+function renderSceneGraph() {
+    const graph = document.getElementById('sceneGraph');
+    const svg = document.getElementById('sceneGraphSvg');
+    if (!graph || !svg || graph.style.display === 'none') return;
+    
+    const edgeLayer = svg.querySelector('.graph-edges');
+    const nodeLayer = svg.querySelector('.graph-nodes');
+    edgeLayer.innerHTML = '';
+    nodeLayer.innerHTML = '';
+    
+    const layout = getGraphLayout();
+    const links = getSceneLinks();
+    const firstScene = tourConfig.default.firstScene;
+    const reachable = tourConfig.scenes[firstScene] ? getReachableScenes(links, firstScene) : new Set();
+    
+    // One arrow per linked pair; links in both directions share a line
+    const drawn = new Set();
+    Object.keys(links).forEach(fromId => {
+        links[fromId].forEach(toId => {
+            if (drawn.has(fromId + '\n' + toId)) return;
+            drawn.add(fromId + '\n' + toId);
+            
+            const twoWay = links[toId].indexOf(fromId) !== -1;
+            if (twoWay) {
+                drawn.add(toId + '\n' + fromId);
+            }
+            
+            const start = getGraphNodeEdgePoint(layout[fromId], layout[toId]);
+            const end = getGraphNodeEdgePoint(layout[toId], layout[fromId]);
+            const edge = createSvgElement('line', {
+                x1: start.x, y1: start.y, x2: end.x, y2: end.y,
+                class: 'graph-edge ' + (twoWay ? 'two-way' : 'one-way'),
+                'marker-end': 'url(#graphArrow)'
+            });
+            if (twoWay) {
+                edge.setAttribute('marker-start', 'url(#graphArrowStart)');
+            }
+            
+            const title = createSvgElement('title', {});
+            title.textContent = twoWay ? `${fromId} ⇄ ${toId}` : `${fromId} → ${toId} (one-way)`;
+            edge.appendChild(title);
+            edgeLayer.appendChild(edge);
+        });
+    });
+    
+    let maxX = 0;
+    let maxY = 0;
+    Object.keys(layout).forEach(sceneId => {
+        const position = layout[sceneId];
+        const classes = ['graph-node'];
+        if (sceneId === firstScene) classes.push('first');
+        if (sceneId === currentScene) classes.push('current');
+        if (!reachable.has(sceneId)) classes.push('disconnected');
+        
+        const node = createSvgElement('g', {
+            class: classes.join(' '),
+            transform: `translate(${position.x}, ${position.y})`,
+            'data-scene-id': sceneId
+        });
+        node.appendChild(createSvgElement('rect', {
+            x: -GRAPH_NODE_SIZE.width / 2,
+            y: -GRAPH_NODE_SIZE.height / 2,
+            width: GRAPH_NODE_SIZE.width,
+            height: GRAPH_NODE_SIZE.height,
+            rx: 6
+        }));
+        const label = createSvgElement('text', { 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+        label.textContent = sceneId.length > 16 ? sceneId.substring(0, 15) + '…' : sceneId;
+        node.appendChild(label);
+        
+        const handle = createSvgElement('circle', { class: 'graph-handle', cx: GRAPH_NODE_SIZE.width / 2, cy: 0, r: 6 });
+        const handleTitle = createSvgElement('title', {});
+        handleTitle.textContent = 'Drag to another scene to add a hotspot';
+        handle.appendChild(handleTitle);
+        node.appendChild(handle);
+        
+        const title = createSvgElement('title', {});
+        title.textContent = sceneId + (sceneId === firstScene ? ' (first scene)' : '') + (!reachable.has(sceneId) ? ' (not reachable from the first scene)' : '');
+        node.appendChild(title);
+        
+        nodeLayer.appendChild(node);
+        maxX = Math.max(maxX, position.x + GRAPH_NODE_SIZE.width);
+        maxY = Math.max(maxY, position.y + GRAPH_NODE_SIZE.height);
+    });
+    
+    // Grow the drawing so nodes moved past the edge can be scrolled to
+    svg.setAttribute('width', Math.max(graph.clientWidth - 2, maxX));
+    svg.setAttribute('height', Math.max(graph.clientHeight - 2, maxY));
+}
+
+/**
+ * Find where the line between two nodes leaves the first node's box
+ * @param {{x: number, y: number}} from - Center of the node the line starts at
+ * @param {{x: number, y: number}} to - Center of the other node
+ * @returns {{x: number, y: number}} Point on the border of the first node
+ */
+function getGraphNodeEdgePoint(from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    if (dx === 0 && dy === 0) return { x: from.x, y: from.y };
+    
+    const scale = Math.min(
+        dx !== 0 ? (GRAPH_NODE_SIZE.width / 2 + 4) / Math.abs(dx) : Infinity,
+        dy !== 0 ? (GRAPH_NODE_SIZE.height / 2 + 4) / Math.abs(dy) : Infinity
+    );
+    return { x: from.x + dx * scale, y: from.y + dy * scale };
+}
+
+/**
+ * Convert a mouse event to scene graph coordinates
+ * @param {MouseEvent} e - Mouse event
+ * @returns {{x: number, y: number}} Point in the graph
+ */
+function getGraphPoint(e) {
+    const rect = document.getElementById('sceneGraphSvg').getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+}
+
+/**
+ * Start moving a node, or start a link when the node's handle is pressed
+ * @param {MouseEvent} e - Mousedown event on the graph
+ */
+function handleGraphMouseDown(e) {
+    if (e.button !== 0) return;
+    
+    const node = e.target.closest('.graph-node');
+    if (!node) return;
+    
+    e.preventDefault();
+    const sceneId = node.getAttribute('data-scene-id');
+    const point = getGraphPoint(e);
+    const position = getGraphLayout()[sceneId];
+    
+    if (e.target.closest('.graph-handle')) {
+        const line = createSvgElement('line', {
+            class: 'graph-link-preview',
+            x1: position.x, y1: position.y, x2: point.x, y2: point.y,
+            'marker-end': 'url(#graphArrow)'
+        });
+        document.getElementById('sceneGraphSvg').appendChild(line);
+        graphPointerAction = { type: 'link', sceneId: sceneId, line: line };
+    } else {
+        graphPointerAction = {
+            type: 'move',
+            sceneId: sceneId,
+            startX: e.clientX,
+            startY: e.clientY,
+            offsetX: point.x - position.x,
+            offsetY: point.y - position.y,
+            moved: false,
+            snapshot: createHistorySnapshot()
+        };
+    }
+}
+
+/**
+ * Move the node or the link preview with the mouse
+ * @param {MouseEvent} e - Mousemove event
+ */
+function handleGraphMouseMove(e) {
+    const action = graphPointerAction;
+    if (!action) return;
+    
+    const point = getGraphPoint(e);
+    
+    if (action.type === 'link') {
+        action.line.setAttribute('x2', point.x);
+        action.line.setAttribute('y2', point.y);
+        return;
+    }
+    
+    if (!action.moved &&
+        Math.abs(e.clientX - action.startX) < HOTSPOT_DRAG_THRESHOLD &&
+        Math.abs(e.clientY - action.startY) < HOTSPOT_DRAG_THRESHOLD) {
+        return;
+    }
+    
+    action.moved = true;
+    saveGraphPosition(
+        action.sceneId,
+        Math.max(GRAPH_NODE_SIZE.width / 2, point.x - action.offsetX),
+        Math.max(GRAPH_NODE_SIZE.height / 2, point.y - action.offsetY)
+    );
+    renderSceneGraph();
+}
+
+/**
+ * Finish moving a node, select a clicked scene, or create the dragged link
+ * @param {MouseEvent} e - Mouseup event
+ */
+function handleGraphMouseUp(e) {
+    const action = graphPointerAction;
+    if (!action) return;
+    graphPointerAction = null;
+    
+    if (action.type === 'link') {
+        action.line.remove();
+        const target = e.target.closest ? e.target.closest('.graph-node') : null;
+        if (target) {
+            createGraphLink(action.sceneId, target.getAttribute('data-scene-id'));
+        }
+        return;
+    }
+    
+    if (action.moved) {
+        pushHistory(`Move "${action.sceneId}" in graph`, action.snapshot);
+    } else {
+        sceneSelect.value = action.sceneId;
+        selectScene();
+    }
+}
+
+/**
+ * Add a hotspot linking one scene to another
+ * It is placed at the source scene's initial view so it can be dragged into place from there
+ * @param {string} fromSceneId - Scene that gets the hotspot
+ * @param {string} toSceneId - Scene the hotspot leads to
+ */
+function createGraphLink(fromSceneId, toSceneId) {
+    const fromScene = tourConfig.scenes[fromSceneId];
+    if (!fromScene || !tourConfig.scenes[toSceneId] || fromSceneId === toSceneId) return;
+    
+    const hotspots = fromScene.hotSpots || [];
+    if (hotspots.some(hotspot => hotspot.type !== 'info' && hotspot.sceneId === toSceneId) &&
+        !confirm(`"${fromSceneId}" already links to "${toSceneId}". Add another hotspot?`)) {
+        return;
+    }
+    
+    const hotspotData = buildSceneHotspotData(
+        toSceneId,
+        fromScene.pitch || 0,
+        fromScene.yaw || 0,
+        toSceneId,
+        generateSceneBasedHotspotId(toSceneId)
+    );
+    
+    pushHistory(`Link "${fromSceneId}" to "${toSceneId}"`);
+    fromScene.hotSpots = hotspots;
+    hotspots.push(JSON.parse(JSON.stringify(hotspotData)));
+    
+    // Add to viewer (use a separate copy)
+    if (viewer) {
+        addSingleHotspot(JSON.parse(JSON.stringify(hotspotData)), fromSceneId);
+    }
+    
+    if (fromSceneId === currentScene) {
+        updateHotspotsList();
+    } else {
+        renderSceneGraph();
+    }
+}
+
+/**
+ * ===================================================================
+ * FLOOR PLAN MINIMAP
+ * ===================================================================
+ */
+/**
+ * Get the floors of the tour's floor plan
+ * Floors are stored in tourConfig.minimap.floors as {id, name, image, pins}
+ * where pins maps scene IDs to {x, y, heading}; x and y are fractions of the image size
+ * and heading is the plan direction (degrees clockwise from up) of the scene's yaw 0
+ * @returns {Array<Object>} Floors, empty if the tour has no floor plan
+ */
+function getMinimapFloors() {
+    return (tourConfig.minimap && tourConfig.minimap.floors) || [];
+}
+
+/**
+ * Find the floor plan pin of a scene
+ * @param {string} sceneId - Scene ID
+ * @param {Object} [config] - Tour configuration to search (defaults to the working tour)
+ * @returns {{floor: Object, pin: Object}|null} Floor and pin, or null if the scene isn't placed
+ */
+function findScenePin(sceneId, config = tourConfig) {
+    const floors = (config.minimap && config.minimap.floors) || [];
+    for (const floor of floors) {
+        if (floor.pins && floor.pins[sceneId]) {
+            return { floor: floor, pin: floor.pins[sceneId] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the floor selected in the Floor Plan panel
+ * @returns {Object|null} Floor, or null if the tour has none
+ */
+function getSelectedFloor() {
+    const floors = getMinimapFloors();
+    const floorId = document.getElementById('floorSelect').value;
+    return floors.find(floor => floor.id === floorId) || floors[0] || null;
+}
+
+/**
+ * Render the Floor Plan panel and the minimap
+ */
+function renderFloorPlanPanel() {
+    const floorSelect = document.getElementById('floorSelect');
+    const floors = getMinimapFloors();
+    const selected = getSelectedFloor();
+    
+    floorSelect.innerHTML = '';
+    floors.forEach(floor => {
+        const option = document.createElement('option');
+        option.value = floor.id;
+        option.textContent = floor.name;
+        floorSelect.appendChild(option);
+    });
+    floorSelect.value = selected ? selected.id : '';
+    floorSelect.disabled = floors.length === 0;
+    
+    document.getElementById('deleteFloorBtn').disabled = !selected;
+    document.getElementById('floorDetails').style.display = selected ? 'block' : 'none';
+    
+    if (selected) {
+        const scenePin = currentScene ? findScenePin(currentScene) : null;
+        document.getElementById('floorName').value = selected.name;
+        document.getElementById('floorImage').value = selected.image && selected.image.indexOf('data:') === 0 ? '(uploaded image)' : (selected.image || '');
+        document.getElementById('placePinBtn').disabled = !currentScene || !selected.image;
+        document.getElementById('aimPinBtn').disabled = !scenePin;
+        document.getElementById('northPinBtn').disabled = !scenePin;
+        document.getElementById('removePinBtn').disabled = !scenePin;
+    }
+    
+    // Scenes in tour order with the floor they are placed on
+    const pinList = document.getElementById('floorPinList');
+    pinList.innerHTML = '';
+    if (floors.length > 0) {
+        (tourConfig.default.sceneOrder || []).forEach(sceneId => {
+            if (!tourConfig.scenes[sceneId]) return;
+            
+            const scenePin = findScenePin(sceneId);
+            const item = document.createElement('div');
+            item.className = 'floor-pin-item' + (sceneId === currentScene ? ' current' : '') + (scenePin ? '' : ' unplaced');
+            item.innerHTML = `
+                <span class="floor-pin-name"></span>
+                <small class="floor-pin-floor"></small>
+            `;
+            item.querySelector('.floor-pin-name').textContent = sceneId;
+            item.querySelector('.floor-pin-floor').textContent = scenePin ? scenePin.floor.name : 'Not placed';
+            item.addEventListener('click', () => {
+                sceneSelect.value = sceneId;
+                selectScene();
+            });
+            pinList.appendChild(item);
+        });
+    }
+    
+    renderMinimap();
+}
+
+/**
+ * Draw the selected floor with its scene pins over the preview
+ * The active scene's pin shows which way the camera is looking
+ */
+function renderMinimap() {
+    const minimap = document.getElementById('minimap');
+    const floor = getSelectedFloor();
+    
+    if (!floor || !floor.image) {
+        minimap.style.display = 'none';
+        return;
+    }
+    
+    minimap.style.display = 'block';
+    document.getElementById('minimapTitle').textContent = floor.name;
+    
+    const image = document.getElementById('minimapImage');
+    if (image.getAttribute('src') !== floor.image) {
+        image.setAttribute('src', floor.image);
+    }
+    
+    const plan = document.getElementById('minimapPlan');
+    plan.classList.toggle('placing', minimapMode === 'place');
+    plan.classList.toggle('aiming', minimapMode === 'aim');
+    
+    const pinsContainer = document.getElementById('minimapPins');
+    pinsContainer.innerHTML = '';
+    Object.keys(floor.pins || {}).forEach(sceneId => {
+        if (!tourConfig.scenes[sceneId]) return;
+        
+        const pin = floor.pins[sceneId];
+        const pinEl = document.createElement('div');
+        pinEl.className = 'minimap-pin' + (sceneId === currentScene ? ' active' : '');
+        pinEl.dataset.sceneId = sceneId;
+        pinEl.style.left = (pin.x * 100) + '%';
+        pinEl.style.top = (pin.y * 100) + '%';
+        pinEl.title = sceneId;
+        
+        if (sceneId === currentScene) {
+            const cone = document.createElement('div');
+            cone.className = 'minimap-cone';
+            pinEl.appendChild(cone);
+        }
+        
+        pinsContainer.appendChild(pinEl);
+    });
+    
+    updateMinimapHeading();
+}
+
+/**
+ * Point the active pin's view cone in the direction the preview camera is looking
+ */
+function updateMinimapHeading() {
+    const cone = document.querySelector('#minimapPins .minimap-cone');
+    const scenePin = currentScene ? findScenePin(currentScene) : null;
+    if (!cone || !scenePin) return;
+    
+    let yaw = tourConfig.scenes[currentScene].yaw || 0;
+    if (viewer && viewer.getScene && viewer.getScene() === currentScene) {
+        try {
+            yaw = viewer.getYaw();
+        } catch (e) {
+            // Runs on every view change, so a viewer that can't report its yaw yet keeps the start yaw quietly
+            yaw = tourConfig.scenes[currentScene].yaw || 0;
+        }
+    }
+    
+    cone.style.transform = `rotate(${(scenePin.pin.heading || 0) + yaw}deg)`;
+}
+
+/**
+ * Show the floor a scene is placed on
+ * @param {string} sceneId - Scene ID
+ */
+function showFloorOfScene(sceneId) {
+    const scenePin = findScenePin(sceneId);
+    if (scenePin) {
+        document.getElementById('floorSelect').value = scenePin.floor.id;
+    }
+    renderFloorPlanPanel();
+}
+
+/**
+ * Add a floor and ask for its plan image
+ */
+function addFloor() {
+    const floors = getMinimapFloors();
+    let number = floors.length + 1;
+    while (floors.some(floor => floor.id === `floor_${number}`)) {
+        number++;
+    }
+    
+    pushHistory('Add floor');
+    tourConfig.minimap = tourConfig.minimap || {};
+    tourConfig.minimap.floors = floors;
+    floors.push({ id: `floor_${number}`, name: `Floor ${number}`, image: '', pins: {} });
+    
+    renderFloorPlanPanel();
+    document.getElementById('floorSelect').value = `floor_${number}`;
+    renderFloorPlanPanel();
+    document.getElementById('floorImageFile').click();
+}
+
+/**
+ * Delete the selected floor and its pins
+ */
+function deleteFloor() {
+    const floor = getSelectedFloor();
+    if (!floor) return;
+    
+    const pinCount = Object.keys(floor.pins || {}).length;
+    if (!confirm(`Are you sure you want to delete floor "${floor.name}"${pinCount > 0 ? ` and its ${pinCount} scene pin(s)` : ''}?`)) {
+        return;
+    }
+    
+    pushHistory(`Delete floor "${floor.name}"`);
+    tourConfig.minimap.floors = getMinimapFloors().filter(entry => entry !== floor);
+    if (tourConfig.minimap.floors.length === 0) {
+        delete tourConfig.minimap;
+    }
+    
+    setMinimapMode(null);
+}
+
+/**
+ * Apply the floor name and image URL fields to the selected floor
+ */
+function updateFloorDetails() {
+    const floor = getSelectedFloor();
+    if (!floor) return;
+    
+    const name = document.getElementById('floorName').value.trim() || floor.name;
+    let image = document.getElementById('floorImage').value.trim();
+    if (image === '(uploaded image)') {
+        image = floor.image;
+    }
+    if (name === floor.name && image === floor.image) return;
+    
+    pushHistory(`Edit floor "${name}"`);
+    floor.name = name;
+    floor.image = image;
+    renderFloorPlanPanel();
+}
+
+/**
+ * Use an uploaded image as the selected floor's plan
+ * The image is embedded in the tour as a data URL, scaled down to FLOOR_PLAN_MAX_SIZE
+ * @param {Event} e - File input change event
+ */
+async function handleFloorImageFile(e) {
+    const file = e.target.files[0];
+    const floor = getSelectedFloor();
+    e.target.value = '';
+    if (!file || !floor) return;
+    
+    let image;
+    try {
+        image = await readEmbeddedImage(file, FLOOR_PLAN_MAX_SIZE);
+    } catch (error) {
+        alert(`Could not use "${file.name}" as the plan image: ${error.message}.\n\nPut the image next to the tour and enter its path in the Plan Image URL field instead.`);
+        return;
+    }
+    
+    pushHistory(`Set plan image of "${floor.name}"`);
+    floor.image = image;
+    renderFloorPlanPanel();
+}
+
+/**
+ * Read an uploaded image as a data URL small enough to embed in the tour
+ * Images larger than maxSize, or whose data URL exceeds EMBEDDED_IMAGE_MAX_LENGTH, are scaled down
+ * and re-encoded as PNG, or JPEG if the PNG is still too long
+ * @param {File} file - Image file
+ * @param {number} maxSize - Largest width or height in pixels
+ * @returns {Promise<string>} Data URL
+ */
+async function readEmbeddedImage(file, maxSize) {
+    const dataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('the file could not be read'));
+        reader.readAsDataURL(file);
+    });
+    
+    const image = await new Promise((resolve, reject) => {
+        const element = new Image();
+        element.onload = () => resolve(element);
+        element.onerror = () => reject(new Error('the file is not an image the browser can show'));
+        element.src = dataUrl;
+    });
+    
+    const width = image.naturalWidth;
+    const height = image.naturalHeight;
+    if (width <= maxSize && height <= maxSize && dataUrl.length <= EMBEDDED_IMAGE_MAX_LENGTH) {
+        return dataUrl;
+    }
+    if (!width || !height) {
+        throw new Error('the image is too large to embed in the tour');
+    }
+    
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    
+    let result = canvas.toDataURL('image/png');
+    if (result.length > EMBEDDED_IMAGE_MAX_LENGTH) {
+        // JPEG has no transparency, so transparent parts become white
+        context.globalCompositeOperation = 'destination-over';
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        result = canvas.toDataURL('image/jpeg', 0.85);
+    }
+    if (result.length > EMBEDDED_IMAGE_MAX_LENGTH) {
+        throw new Error('the image is too large to embed in the tour, even scaled down');
+    }
+    return result;
+}
+
+/**
+ * Start or stop waiting for a floor plan click that places or aims the current scene's pin
+ * @param {string|null} mode - 'place', 'aim' or null to stop
+ */
+function setMinimapMode(mode) {
+    minimapMode = minimapMode === mode ? null : mode;
+    
+    const info = document.getElementById('floorPlanInfo');
+    info.classList.toggle('active-mode', !!minimapMode);
+    if (minimapMode === 'place') {
+        info.textContent = `Click on the floor plan where "${currentScene}" is.`;
+    } else if (minimapMode === 'aim') {
+        info.textContent = 'Turn the preview toward something you can find on the plan, then click that spot on the floor plan.';
+    } else {
+        info.textContent = 'Add a floor plan, then place the selected scene on it and set which way its view faces.';
+    }
+    
+    renderFloorPlanPanel();
+}
+
+/**
+ * Handle clicks on the minimap: place or aim the current pin, or select a clicked scene
+ * @param {MouseEvent} e - Click event
+ */
+function handleMinimapClick(e) {
+    const floor = getSelectedFloor();
+    if (!floor) return;
+    
+    const rect = document.getElementById('minimapImage').getBoundingClientRect();
+    const x = rect.width ? (e.clientX - rect.left) / rect.width : 0;
+    const y = rect.height ? (e.clientY - rect.top) / rect.height : 0;
+    
+    if (minimapMode === 'place' && currentScene) {
+        placeScenePin(currentScene, floor, x, y);
+    } else if (minimapMode === 'aim' && currentScene) {
+        aimScenePin(x, y, rect);
+    } else {
+        const pinEl = e.target.closest('.minimap-pin');
+        if (pinEl) {
+            sceneSelect.value = pinEl.dataset.sceneId;
+            selectScene();
+        }
+    }
+}
+
+/**
+ * Place a scene's pin on a floor, moving it from any other floor
+ * @param {string} sceneId - Scene ID
+ * @param {Object} floor - Floor to place it on
+ * @param {number} x - Horizontal position as a fraction of the plan width
+ * @param {number} y - Vertical position as a fraction of the plan height
+ */
+function placeScenePin(sceneId, floor, x, y) {
+    const previous = findScenePin(sceneId);
+    const heading = previous ? previous.pin.heading : ((tourConfig.scenes[sceneId].northOffset) || 0);
+    
+    pushHistory(`Place "${sceneId}" on "${floor.name}"`);
+    if (previous) {
+        delete previous.floor.pins[sceneId];
+    }
+    floor.pins = floor.pins || {};
+    floor.pins[sceneId] = {
+        x: Math.round(Math.min(1, Math.max(0, x)) * 1000) / 1000,
+        y: Math.round(Math.min(1, Math.max(0, y)) * 1000) / 1000,
+        heading: heading
+    };
+    
+    setMinimapMode(null);
+}
+
+/**
+ * Turn the current scene's pin so the preview's view direction points at a spot on the plan
+ * @param {number} x - Horizontal position of the spot as a fraction of the plan width
+ * @param {number} y - Vertical position of the spot as a fraction of the plan height
+ * @param {DOMRect} rect - Size of the plan image, to compare both directions in pixels
+ */
+function aimScenePin(x, y, rect) {
+    const scenePin = findScenePin(currentScene);
+    if (!scenePin) return;
+    
+    const dx = (x - scenePin.pin.x) * (rect.width || 1);
+    const dy = (y - scenePin.pin.y) * (rect.height || 1);
+    if (dx === 0 && dy === 0) return;
+    
+    const planAngle = Math.atan2(dx, -dy) * 180 / Math.PI;
+    const yaw = viewer ? viewer.getYaw() : (tourConfig.scenes[currentScene].yaw || 0);
+    
+    pushHistory(`Set direction of "${currentScene}" on floor plan`);
+    scenePin.pin.heading = Math.round(((planAngle - yaw) % 360 + 360) % 360 * 10) / 10;
+    
+    setMinimapMode(null);
+}
+
+/**
+ * Set the current scene's pin direction from its northOffset, for plans with north at the top
+ */
+function useNorthOffsetForPin() {
+    const scenePin = currentScene ? findScenePin(currentScene) : null;
+    if (!scenePin) return;
+    
+    pushHistory(`Set direction of "${currentScene}" on floor plan`);
+    scenePin.pin.heading = tourConfig.scenes[currentScene].northOffset || 0;
+    renderFloorPlanPanel();
+}
+
+/**
+ * Remove the current scene's pin from the floor plan
+ */
+function removeScenePin() {
+    const scenePin = currentScene ? findScenePin(currentScene) : null;
+    if (!scenePin) return;
+    
+    pushHistory(`Remove "${currentScene}" from floor plan`);
+    delete scenePin.floor.pins[currentScene];
+    setMinimapMode(null);
+}
+
+/**
+ * ===================================================================
+ * UNDO/REDO HISTORY
+ * ===================================================================
+ */
+/**
+ * Take a snapshot of the current tour state
+ * @returns {Object} Snapshot with serialized config and selected scene
+ */
+function createHistorySnapshot() {
+    return {
+        config: JSON.stringify(tourConfig),
+        scene: currentScene
+    };
+}
+
+/**
+ * Record an undoable change
+ * Call right before mutating tourConfig, or pass a snapshot taken earlier
+ * @param {string} label - Description shown in the history list
+ * @param {Object} [snapshot] - Tour state before the change (defaults to the current state)
+ */
+function pushHistory(label, snapshot = createHistorySnapshot()) {
+    historyPast.push({
+        label: label,
+        time: Date.now(),
+        config: snapshot.config,
+        scene: snapshot.scene
+    });
+    
+    if (historyPast.length > MAX_HISTORY_ENTRIES) {
+        historyPast.shift();
+    }
+    
+    // A new change invalidates everything that was undone
+    historyFuture = [];
+    renderHistoryList();
+    markTourChanged();
+}
+
+/**
+ * Undo one or more changes
+ * @param {number} [steps=1] - Number of changes to revert
+ */
+function undo(steps = 1) {
+    let state = createHistorySnapshot();
+    let moved = 0;
+    
+    while (moved < steps && historyPast.length > 0) {
+        const entry = historyPast.pop();
+        // The state we are leaving is what redo has to bring back
+        historyFuture.push({ label: entry.label, time: entry.time, config: state.config, scene: state.scene });
+        state = entry;
+        moved++;
+    }
+    
+    if (moved > 0) {
+        restoreHistorySnapshot(state);
+    }
+}
+
+/**
+ * Redo one or more previously undone changes
+ * @param {number} [steps=1] - Number of changes to reapply
+ */
+function redo(steps = 1) {
+    let state = createHistorySnapshot();
+    let moved = 0;
+    
+    while (moved < steps && historyFuture.length > 0) {
+        const entry = historyFuture.pop();
+        historyPast.push({ label: entry.label, time: entry.time, config: state.config, scene: state.scene });
+        state = entry;
+        moved++;
+    }
+    
+    if (moved > 0) {
+        restoreHistorySnapshot(state);
+    }
+}
+
+/**
+ * Replace the working tour with a history snapshot and resync the editor
+ * @param {Object} snapshot - Snapshot created by createHistorySnapshot
+ */
+function restoreHistorySnapshot(snapshot) {
+    // Pending modal edits refer to the state being replaced
+    hideAddSceneModal();
+    hideEditSceneModal();
+    hideAddHotspotModal();
+    
+    tourConfig = JSON.parse(snapshot.config);
+    refreshEditorFromConfig(snapshot.scene);
+    renderHistoryList();
+    markTourChanged();
+}
+
+/**
+ * Jump to a position in the history list
+ * @param {number} position - Number of applied changes to keep
+ */
+function goToHistoryPosition(position) {
+    const steps = position - historyPast.length;
+    if (steps < 0) {
+        undo(-steps);
+    } else if (steps > 0) {
+        redo(steps);
+    }
+}
+
+/**
+ * Render the history list and update undo/redo button states
+ * Applied changes come first, undone changes are shown dimmed below them
+ */
+function renderHistoryList() {
+    undoBtn.disabled = historyPast.length === 0;
+    redoBtn.disabled = historyFuture.length === 0;
+    undoBtn.title = historyPast.length > 0 ? `Undo ${historyPast[historyPast.length - 1].label}` : 'Nothing to undo';
+    redoBtn.title = historyFuture.length > 0 ? `Redo ${historyFuture[historyFuture.length - 1].label}` : 'Nothing to redo';
+    
+    const container = document.getElementById('historyList');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    // Position 0 is the state before any recorded change
+    const entries = [{ label: 'Start', time: null }]
+        .concat(historyPast)
+        .concat(historyFuture.slice().reverse());
+    
+    entries.forEach((entry, position) => {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        if (position === historyPast.length) {
+            item.classList.add('current');
+        } else if (position > historyPast.length) {
+            item.classList.add('undone');
+        }
+        
+        const time = entry.time ? new Date(entry.time).toLocaleTimeString() : '';
+        item.innerHTML = `
+            <span class="history-label"></span>
+            <small class="history-time">${time}</small>
+        `;
+        item.querySelector('.history-label').textContent = entry.label;
+        item.addEventListener('click', () => goToHistoryPosition(position));
+        
+        container.appendChild(item);
+    });
+    
+    // Keep the current entry in view
+    const current = container.querySelector('.history-item.current');
+    if (current && current.scrollIntoView) {
+        current.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * Handle Ctrl/Cmd+Z (undo) and Ctrl/Cmd+Shift+Z or Ctrl+Y (redo)
+ * Text fields keep their native undo behavior
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    
+    const target = e.target;
+    if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+        return;
+    }
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+        e.preventDefault();
+        redo();
+    }
+}
+
+/**
+ * ===================================================================
+ * AUTOSAVE AND CRASH RECOVERY
+ * ===================================================================
+ */
+/**
+ * Flag the tour as modified and schedule an autosave
+ * The save is debounced, so it runs after the change that triggered it
+ */
+function markTourChanged() {
+    hasUnsavedChanges = true;
+    
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(saveAutosave, AUTOSAVE_DELAY);
+    updateAutosaveStatus();
+}
+
+/**
+ * Write the working tour to localStorage
+ */
+function saveAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    
+    try {
+        localStorage.setItem(AUTOSAVE_STORAGE_KEY, JSON.stringify({
+            savedAt: Date.now(),
+            scene: currentScene,
+            config: tourConfig
+        }));
+        lastAutosaveAt = Date.now();
+        updateAutosaveStatus();
+    } catch (error) {
+        // Usually the storage quota; the tour itself is still intact in memory
+        console.warn('Autosave failed:', error);
+        updateAutosaveStatus('Autosave failed - export to keep your work');
+    }
+}
+
+/**
+ * Read the autosaved tour from localStorage
+ * @returns {Object|null} Autosave record, or null if there is no usable one
+ */
+function loadAutosave() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(AUTOSAVE_STORAGE_KEY));
+        if (saved && saved.config && saved.config.default && saved.config.scenes) {
+            return saved;
+        }
+    } catch (error) {
+        console.warn('Ignoring unreadable autosave:', error);
+    }
+    return null;
+}
+
+/**
+ * Remove the autosaved tour from localStorage
+ */
+function clearAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    localStorage.removeItem(AUTOSAVE_STORAGE_KEY);
+}
+
+/**
+ * Offer to restore the autosaved tour on startup
+ * Declining discards the autosave so it is not offered again
+ * @returns {string|null} Scene that was selected when the tour was saved, if restored
+ */
+function offerAutosaveRestore() {
+    const saved = loadAutosave();
+    if (!saved) return null;
+    
+    const sceneCount = Object.keys(saved.config.scenes).length;
+    if (sceneCount === 0) {
+        clearAutosave();
+        return null;
+    }
+    
+    const savedAt = new Date(saved.savedAt).toLocaleString();
+    if (!confirm(`Restore the tour autosaved on ${savedAt} (${sceneCount} scene${sceneCount > 1 ? 's' : ''})?\n\nCancel discards it and starts with an empty tour.`)) {
+        clearAutosave();
+        return null;
+    }
+    
+    tourConfig = saved.config;
+    ensureHotspotIds();
+    
+    // Restored work has not been exported yet
+    hasUnsavedChanges = true;
+    lastAutosaveAt = saved.savedAt;
+    updateAutosaveStatus();
+    
+    return saved.scene || null;
+}
+
+/**
+ * Show when the tour was last autosaved and whether it has been exported
+ * @param {string} [message] - Text to show instead of the default status
+ */
+function updateAutosaveStatus(message) {
+    const status = document.getElementById('autosaveStatus');
+    if (!status) return;
+    
+    if (message) {
+        status.textContent = message;
+    } else if (autosaveTimer) {
+        status.textContent = 'Saving...';
+    } else if (lastAutosaveAt) {
+        status.textContent = `Autosaved at ${new Date(lastAutosaveAt).toLocaleTimeString()}` +
+            (hasUnsavedChanges ? ' - not exported yet' : '');
+    }
+}
+
+/**
+ * Flush a pending autosave and warn about unexported changes when leaving the page
+ * @param {BeforeUnloadEvent} e - Unload event
+ */
+function handleBeforeUnload(e) {
+    if (autosaveTimer) {
+        saveAutosave();
+    }
+    
+    if (hasUnsavedChanges) {
+        e.preventDefault();
+        e.returnValue = '';
+    }
+}
+
+/**
+ * ===================================================================
+ * TOUR VALIDATION
+ * ===================================================================
+ */
+/**
+ * Check the tour for broken references and navigation problems
+ * Errors break the tour in Pannellum; warnings are likely mistakes
+ * @returns {Array<Object>} Issues with severity, message and an optional fix {label, run}
+ */
+function validateTour() {
+    const issues = [];
+    const sceneIds = Object.keys(tourConfig.scenes);
+    const firstScene = tourConfig.default.firstScene;
+    const sceneOrder = tourConfig.default.sceneOrder || [];
+    
+    if (sceneIds.length === 0) {
+        return issues;
+    }
+    
+    // First scene
+    if (!firstScene) {
+        issues.push({
+            severity: 'error',
+            message: 'No first scene is set',
+            fix: { label: 'Set', run: focusFirstSceneSelect }
+        });
+    } else if (!tourConfig.scenes[firstScene]) {
+        issues.push({
+            severity: 'error',
+            message: `First scene "${firstScene}" doesn't exist`,
+            fix: { label: 'Set', run: focusFirstSceneSelect }
+        });
+    }
+    
+    // Scene order
+    const orderFix = { label: 'Repair order', run: repairSceneOrder };
+    const listed = new Set();
+    sceneOrder.forEach(sceneId => {
+        if (!tourConfig.scenes[sceneId]) {
+            issues.push({ severity: 'error', message: `Scene order lists missing scene "${sceneId}"`, fix: orderFix });
+        } else if (listed.has(sceneId)) {
+            issues.push({ severity: 'error', message: `Scene order lists "${sceneId}" more than once`, fix: orderFix });
+        }
+        listed.add(sceneId);
+    });
+    sceneIds.forEach(sceneId => {
+        if (!listed.has(sceneId)) {
+            issues.push({ severity: 'warning', message: `Scene "${sceneId}" is missing from the scene order`, fix: orderFix });
+        }
+    });
+    
+    // Hotspots
+    const seenHotspotIds = {};
+    sceneIds.forEach(sceneId => {
+        (tourConfig.scenes[sceneId].hotSpots || []).forEach((hotspot, index) => {
+            const name = hotspot.id || hotspot.text || `#${index + 1}`;
+            const fix = { label: 'Edit', run: () => openHotspotForFix(sceneId, index) };
+            
+            if (hotspot.type !== 'info' && !tourConfig.scenes[hotspot.sceneId]) {
+                issues.push({
+                    severity: 'error',
+                    message: `Hotspot "${name}" in "${sceneId}" links to missing scene "${hotspot.sceneId || ''}"`,
+                    fix: fix
+                });
+            }
+            
+            if (hotspot.id) {
+                if (seenHotspotIds[hotspot.id]) {
+                    issues.push({
+                        severity: 'error',
+                        message: `Hotspot ID "${hotspot.id}" in "${sceneId}" is already used in "${seenHotspotIds[hotspot.id]}"`,
+                        fix: fix
+                    });
+                } else {
+                    seenHotspotIds[hotspot.id] = sceneId;
+                }
+            }
+        });
+    });
+    
+    // Navigation
+    const links = getSceneLinks();
+    sceneIds.forEach(sceneId => {
+        if (links[sceneId].length === 0 && sceneIds.length > 1) {
+            issues.push({
+                severity: 'warning',
+                message: `Scene "${sceneId}" has no hotspots leading to other scenes`,
+                fix: { label: 'Go to', run: () => goToSceneForFix(sceneId) }
+            });
+        }
+    });
+    
+    if (tourConfig.scenes[firstScene]) {
+        const reachable = getReachableScenes(links, firstScene);
+        sceneIds.forEach(sceneId => {
+            if (!reachable.has(sceneId)) {
+                issues.push({
+                    severity: 'warning',
+                    message: `Scene "${sceneId}" can't be reached from the first scene "${firstScene}"`,
+                    fix: { label: 'Go to', run: () => goToSceneForFix(sceneId) }
+                });
+            }
+        });
+    }
+    
+    return issues;
+}
+
+/**
+ * Collect the existing scenes each scene links to through its hotspots
+ * @returns {Object} Map of scene ID to an array of target scene IDs
+ */
+function getSceneLinks() {
+    const links = {};
+    Object.keys(tourConfig.scenes).forEach(sceneId => {
+        links[sceneId] = (tourConfig.scenes[sceneId].hotSpots || [])
+            .filter(hotspot => hotspot.type !== 'info' && hotspot.sceneId !== sceneId && tourConfig.scenes[hotspot.sceneId])
+            .map(hotspot => hotspot.sceneId);
+    });
+    return links;
+}
+
+/**
+ * Find the scenes a visitor can reach by following hotspots
+ * @param {Object} links - Map returned by getSceneLinks
+ * @param {string} startSceneId - Scene the visitor starts in
+ * @returns {Set<string>} Reachable scene IDs, including the start scene
+ */
+function getReachableScenes(links, startSceneId) {
+    const reachable = new Set([startSceneId]);
+    const queue = [startSceneId];
+    while (queue.length > 0) {
+        (links[queue.shift()] || []).forEach(targetId => {
+            if (!reachable.has(targetId)) {
+                reachable.add(targetId);
+                queue.push(targetId);
+            }
+        });
+    }
+    return reachable;
+}
+
+/**
+ * Render validation issues in the Validation panel
+ * @param {Array<Object>} issues - Issues returned by validateTour
+ */
+function renderValidationReport(issues) {
+    const container = document.getElementById('validationList');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    if (issues.length === 0) {
+        const item = document.createElement('div');
+        item.className = 'validation-item ok';
+        item.textContent = 'No problems found';
+        container.appendChild(item);
+        return;
+    }
+    
+    // Errors first
+    const sorted = issues.filter(issue => issue.severity === 'error')
+        .concat(issues.filter(issue => issue.severity !== 'error'));
+    
+    sorted.forEach(issue => {
+        const item = document.createElement('div');
+        item.className = `validation-item ${issue.severity}`;
+        item.innerHTML = `<span class="validation-message"></span>`;
+        item.querySelector('.validation-message').textContent = issue.message;
+        
+        if (issue.fix) {
+            const button = document.createElement('button');
+            button.className = 'validation-fix';
+            button.textContent = issue.fix.label;
+            button.addEventListener('click', issue.fix.run);
+            item.appendChild(button);
+        }
+        
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Render validation issues and make sure the Validation panel is expanded
+ * @param {Array<Object>} issues - Issues returned by validateTour
+ */
+function showValidationReport(issues) {
+    const section = COLLAPSIBLE_SECTIONS.find(entry => entry.content === 'validationContent');
+    setCollapsibleSectionState(section, true);
+    renderValidationReport(issues);
+}
+
+/**
+ * Focus the first scene dropdown so it can be corrected
+ */
+function focusFirstSceneSelect() {
+    const firstSceneSelect = document.getElementById('firstScene');
+    firstSceneSelect.scrollIntoView({ block: 'center' });
+    firstSceneSelect.focus();
+}
+
+/**
+ * Select a scene in the editor to fix a problem with it
+ * @param {string} sceneId - Scene to select
+ */
+function goToSceneForFix(sceneId) {
+    if (!tourConfig.scenes[sceneId]) return;
+    
+    sceneSelect.value = sceneId;
+    selectScene();
+}
+
+/**
+ * Select a scene and open one of its hotspots in the edit modal
+ * @param {string} sceneId - Scene containing the hotspot
+ * @param {number} index - Index of the hotspot in the scene
+ */
+function openHotspotForFix(sceneId, index) {
+    goToSceneForFix(sceneId);
+    
+    const hotspot = (tourConfig.scenes[sceneId].hotSpots || [])[index];
+    if (hotspot) {
+        showEditHotspotModal(hotspot, index);
+    }
+}
+
+/**
+ * Remove missing and duplicate scene order entries and append unlisted scenes
+ */
+function repairSceneOrder() {
+    const repaired = [];
+    (tourConfig.default.sceneOrder || []).forEach(sceneId => {
+        if (tourConfig.scenes[sceneId] && repaired.indexOf(sceneId) === -1) {
+            repaired.push(sceneId);
+        }
+    });
+    Object.keys(tourConfig.scenes).forEach(sceneId => {
+        if (repaired.indexOf(sceneId) === -1) {
+            repaired.push(sceneId);
+        }
+    });
+    
+    pushHistory('Repair scene order');
+    reorderScenes(repaired);
+    renderValidationReport(validateTour());
+}
+
+/**
+ * ===================================================================
+ * CONFIGURATION IMPORT/EXPORT FUNCTIONS
+ * ===================================================================
+ */
+/**
+ * Export current tour configuration as JSON file
+ */
+function exportConfiguration() {
+    if (!confirmExportWithErrors()) return;
+    
+    // If viewer exists, we could potentially get config from it
+    // but for now we'll use our local tourConfig
+    const configText = JSON.stringify(tourConfig, null, 4);
+    downloadFile(configText, 'tour-config.json', 'application/json');
+    
+    hasUnsavedChanges = false;
+    updateAutosaveStatus();
+}
+
+/**
+ * Validate the tour before an export and ask whether to continue if it has errors
+ * Gives a chance to fix broken links before they end up in the exported file
+ * @returns {boolean} True if the export should go ahead
+ */
+function confirmExportWithErrors() {
+    const issues = validateTour();
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    if (errorCount > 0) {
+        showValidationReport(issues);
+        return confirm(`The tour has ${errorCount} error(s), listed in the Validation panel.\n\nExport anyway?`);
+    }
+    return true;
+}
+
+/**
+ * Download text or binary content as a file
+ * @param {string|Blob|ArrayBuffer|Uint8Array} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Copy tour configuration to clipboard as JavaScript object
+ */
+function copyJSObject() {
+    const jsObjectText = convertToJSObject(tourConfig);
+    
+    // Try to use Clipboard API
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(jsObjectText).then(() => {
+            showCopyFeedback();
+        }).catch(err => {
+            console.error('Failed to copy to clipboard:', err);
+            fallbackCopyToClipboard(jsObjectText);
+        });
+    } else {
+        // Fallback for older browsers
+        fallbackCopyToClipboard(jsObjectText);
+    }
+}
+
+/**
+ * Convert JSON object to JavaScript object notation
  * @param {Object} obj - Object to convert
  * @returns {string} JavaScript object string
  */
-function convertToJSObject(obj) {
-    // Convert to JSON first, then remove quotes from property names
-    let jsonString = JSON.stringify(obj, null, 4);
+function convertToJSObject(obj) {
+    // Convert to JSON first, then remove quotes from property names
+    let jsonString = JSON.stringify(obj, null, 4);
+    
+    // Remove quotes from property names that are valid JavaScript identifiers
+    // This regex matches quoted property names that are valid JS identifiers
+    jsonString = jsonString.replace(/"([a-zA-Z_$][a-zA-Z0-9_$]*)"\s*:/g, '$1:');
+    
+    return jsonString;
+}
+
+/**
+ * Fallback clipboard copy for older browsers
+ * @param {string} text - Text to copy
+ */
+function fallbackCopyToClipboard(text) {
+    // Create temporary textarea for older browsers
+    const textArea = document.createElement('textarea');
+    textArea.value = text;
+    textArea.style.position = 'fixed';
+    textArea.style.left = '-999999px';
+    textArea.style.top = '-999999px';
+    document.body.appendChild(textArea);
+    textArea.focus();
+    textArea.select();
+    
+    try {
+        document.execCommand('copy');
+        showCopyFeedback();
+    } catch (err) {
+        console.error('Fallback copy failed:', err);
+        alert('Copy failed. Please manually select and copy the configuration.');
+    }
+    
+    document.body.removeChild(textArea);
+}
+
+/**
+ * Show visual feedback for copy operation
+ */
+function showCopyFeedback() {
+    const originalText = copyBtn.textContent;
+    copyBtn.textContent = 'Copied!';
+    copyBtn.style.backgroundColor = '#28a745';
+    
+    setTimeout(() => {
+        copyBtn.textContent = originalText;
+        copyBtn.style.backgroundColor = '';
+    }, 2000);
+}
+
+/**
+ * Show visual feedback for capture operation
+ */
+function showCaptureFeedback() {
+    const originalText = captureViewBtn.textContent;
+    captureViewBtn.textContent = 'Captured!';
+    captureViewBtn.style.backgroundColor = '#28a745';
+    
+    setTimeout(() => {
+        captureViewBtn.textContent = originalText;
+        captureViewBtn.style.backgroundColor = '';
+    }, 2000);
+}
+
+/**
+ * Preview hotspot location using lookAt animation
+ * @param {Object} hotspot - Hotspot data with pitch/yaw coordinates
+ */
+function previewHotspotLocation(hotspot) {
+    if (!viewer || !currentScene) return;
+    
+    try {
+        // Get the current scene's hfov
+        const scene = tourConfig.scenes[currentScene];
+        const hfov = scene ? scene.hfov : null;
+        
+        // Use lookAt to smoothly animate to the hotspot position
+        // Parameters: pitch, yaw, hfov, animated (milliseconds), callback, callbackArgs
+        viewer.lookAt(hotspot.pitch, hotspot.yaw, hfov, 1000);
+    } catch (error) {
+        console.error('Error previewing hotspot location:', error);
+    }
+}
+
+/**
+ * Validate that a hotspot ID is valid and unique
+ * @param {string} hotspotId - ID to validate
+ * @param {string} sceneId - Scene ID for context
+ * @param {number} excludeIndex - Index to exclude from duplicate check (for editing)
+ * @returns {Object} Validation result with isValid and errorMessage
+ */
+function validateHotspotId(hotspotId, sceneId, excludeIndex = -1) {
+    // Check if empty or undefined (will be auto-generated)
+    if (!hotspotId || typeof hotspotId !== 'string' || hotspotId.trim() === '') {
+        return { isValid: true, errorMessage: null }; // Empty is OK, will auto-generate
+    }
+    
+    // Sanitize ID (similar to scene ID validation)
+    if (!/^[a-zA-Z0-9_-]+$/.test(hotspotId)) {
+        return { 
+            isValid: false, 
+            errorMessage: 'Hotspot ID can only contain letters, numbers, underscores, and hyphens' 
+        };
+    }
+    
+    // Check for duplicates across ALL scenes
+    for (const [checkSceneId, scene] of Object.entries(tourConfig.scenes)) {
+        if (scene.hotSpots) {
+            for (let i = 0; i < scene.hotSpots.length; i++) {
+                const hotspot = scene.hotSpots[i];
+                // Skip if this is the same hotspot we're editing
+                if (checkSceneId === sceneId && i === excludeIndex) continue;
+                
+                if (hotspot.id === hotspotId) {
+                    return { 
+                        isValid: false, 
+                        errorMessage: `Hotspot ID "${hotspotId}" already exists in scene "${checkSceneId}"` 
+                    };
+                }
+            }
+        }
+    }
+    
+    return { isValid: true, errorMessage: null };
+}
+
+/**
+ * Generate a scene-based hotspot ID with next available number
+ * @param {string} targetSceneId - Target scene for the hotspot
+ * @returns {string} Generated hotspot ID
+ */
+function generateSceneBasedHotspotId(targetSceneId) {
+    let counter = 1;
+    let candidateId;
+    
+    // Find next available number for this scene
+    do {
+        candidateId = `hs_${targetSceneId}_${counter.toString().padStart(3, '0')}`;
+        counter++;
+    } while (isHotspotIdInUse(candidateId));
+    
+    return candidateId;
+}
+
+/**
+ * Generate an ID for an info hotspot with next available number
+ * @param {string} sceneId - Scene that contains the info hotspot
+ * @returns {string} Generated hotspot ID
+ */
+function generateInfoHotspotId(sceneId) {
+    let counter = 1;
+    let candidateId;
+    
+    do {
+        candidateId = `info_${sceneId}_${counter.toString().padStart(3, '0')}`;
+        counter++;
+    } while (isHotspotIdInUse(candidateId));
+    
+    return candidateId;
+}
+
+/**
+ * Check if an ID follows one of the auto-generated patterns
+ * Such IDs can be replaced when the user changes the target or type
+ * @param {string} hotspotId - ID to check
+ * @returns {boolean} True if the ID looks auto-generated
+ */
+function isAutoGeneratedHotspotId(hotspotId) {
+    return /^(hs|info)_\w+_\d{3}$/.test(hotspotId);
+}
+
+/**
+ * Check if a hotspot ID is already in use across all scenes
+ * @param {string} hotspotId - ID to check
+ * @returns {boolean} True if ID is in use
+ */
+function isHotspotIdInUse(hotspotId) {
+    for (const scene of Object.values(tourConfig.scenes)) {
+        if (scene.hotSpots && scene.hotSpots.some(h => h.id === hotspotId)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Fix hotspot that's missing an ID by generating one
+ * @param {Object} hotspot - Hotspot to fix
+ * @param {string} sceneId - Scene ID for context
+ * @param {number} index - Index in hotspot array
+ */
+function fixMissingHotspotId(hotspot, sceneId, index) {
+    // Check if hotspot has no ID or invalid ID
+    if (!hotspot.id || typeof hotspot.id !== 'string' || hotspot.id.trim() === '') {
+        const prefix = hotspot.type === 'info' ? 'info' : 'hs';
+        hotspot.id = `${prefix}_${sceneId}_${hotspotCounter++}`;
+        console.log(`Generated missing ID for hotspot in scene ${sceneId}:`, hotspot.id);
+    }
+}
+
+/**
+ * Ensure all hotspots have unique IDs for proper Pannellum API usage
+ * Generates IDs for hotspots that don't have them
+ * @param {Object} [config] - Tour configuration to update (defaults to the working tour)
+ */
+function ensureHotspotIds(config = tourConfig) {
+    let maxCounter = 0;
+    
+    // First pass: find the highest existing counter to avoid conflicts
+    Object.keys(config.scenes).forEach(sceneId => {
+        const scene = config.scenes[sceneId];
+        if (scene.hotSpots) {
+            scene.hotSpots.forEach(hotspot => {
+                if (hotspot.id && (hotspot.id.startsWith('hs_') || hotspot.id.startsWith('info_'))) {
+                    const parts = hotspot.id.split('_');
+                    if (parts.length >= 3) {
+                        const counter = parseInt(parts[parts.length - 1]);
+                        if (!isNaN(counter)) {
+                            maxCounter = Math.max(maxCounter, counter);
+                        }
+                    }
+                }
+            });
+        }
+    });
+    
+    // Update global counter to avoid conflicts
+    hotspotCounter = maxCounter + 1;
+    
+    // Second pass: generate IDs for hotspots that don't have them
+    Object.keys(config.scenes).forEach(sceneId => {
+        const scene = config.scenes[sceneId];
+        if (scene.hotSpots) {
+            scene.hotSpots.forEach((hotspot, index) => {
+                fixMissingHotspotId(hotspot, sceneId, index);
+            });
+        }
+    });
+}
+
+/**
+ * Import tour configuration from JSON file
+ * The file is checked and migrated first; the current tour is only replaced if that succeeds
+ * @param {Event} e - File input change event
+ */
+function importConfiguration(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    readTourFile(file, (config) => commitImportedConfig(config, `Import "${file.name}"`));
+}
+
+/**
+ * Read a tour file and check and migrate it with normalizeImportedConfig
+ * krpano XML and Marzipano data.js files are converted first, and the user confirms the conversion report
+ * Problems are reported to the user, who also confirms the fixes that are needed
+ * @param {File} file - JSON, krpano XML or Marzipano data.js file
+ * @param {Function} onConfig - Called with the migrated configuration if it can be used
+ */
+function readTourFile(file, onConfig) {
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        const text = event.target.result;
+        const format = detectTourFormat(file.name, text);
+        let imported;
+        let report = null;
+        try {
+            if (format === 'krpano') {
+                ({ config: imported, report } = convertKrpanoTour(text));
+            } else if (format === 'marzipano') {
+                ({ config: imported, report } = convertMarzipanoTour(text));
+            } else {
+                imported = JSON.parse(text);
+            }
+        } catch (error) {
+            const reason = format === 'json' ? `the file is not valid JSON.\n\n${error.message}` : `${error.message}.`;
+            alert(`Could not import "${file.name}": ${reason}`);
+            return;
+        }
+        
+        const result = normalizeImportedConfig(imported);
+        
+        if (result.errors.length > 0) {
+            alert(`Could not import "${file.name}":\n\n- ${result.errors.join('\n- ')}\n\nThe current tour was not changed.`);
+            return;
+        }
+        
+        if (report) {
+            const formatName = format === 'krpano' ? 'krpano XML' : 'a Marzipano data.js';
+            const notes = report.length > 0 ? `\n\n- ${report.join('\n- ')}` : '';
+            const fixes = result.fixes.length > 0 ? `\n\nIt also needs these changes:\n\n- ${result.fixes.join('\n- ')}` : '';
+            if (!confirm(`"${file.name}" was converted from ${formatName}.${notes}${fixes}\n\nPaths are relative to the folder of "${file.name}".\n\nImport the tour?`)) {
+                return;
+            }
+        } else if (result.fixes.length > 0 &&
+            !confirm(`"${file.name}" needs these changes to be imported:\n\n- ${result.fixes.join('\n- ')}\n\nImport the tour?`)) {
+            return;
+        }
+        
+        onConfig(result.config);
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Replace the working tour with an imported configuration
+ * Restores the previous tour if the editor can't load the new one
+ * @param {Object} config - Configuration returned by normalizeImportedConfig
+ * @param {string} label - Description shown in the history list
+ * @returns {boolean} Success status
+ */
+function commitImportedConfig(config, label) {
+    const snapshot = createHistorySnapshot();
+    
+    try {
+        tourConfig = config;
+        
+        // Ensure all hotspots have IDs BEFORE any other processing
+        ensureHotspotIds();
+        
+        // Sync scenes object order with sceneOrder
+        reorderScenes(tourConfig.default.sceneOrder);
+        
+        refreshEditorFromConfig(tourConfig.default.firstScene);
+    } catch (error) {
+        restoreHistorySnapshot(snapshot);
+        alert('Error importing configuration: ' + error.message + '\n\nThe current tour was not changed.');
+        return false;
+    }
+    
+    pushHistory(label, snapshot);
+    return true;
+}
+
+/**
+ * Check an imported configuration and migrate common variants to the editor's tour format
+ * Handles single panorama configs, scene arrays, scenes keyed by title and missing blocks
+ * @param {*} imported - Parsed JSON file
+ * @returns {{config: Object|null, fixes: string[], errors: string[]}} Migrated copy, applied fixes and blocking errors
+ */
+function normalizeImportedConfig(imported) {
+    const fixes = [];
+    const errors = [];
+    
+    if (!isPlainObject(imported)) {
+        errors.push('The file does not contain a configuration object');
+        return { config: null, fixes: fixes, errors: errors };
+    }
+    
+    // Work on a copy so a failed import can't leave anything half changed
+    const config = JSON.parse(JSON.stringify(imported));
+    
+    // Plain Pannellum config with a single panorama
+    if (config.scenes === undefined && SCENE_SOURCE_KEYS.some(key => key !== 'type' && config[key] !== undefined)) {
+        const sceneId = createUniqueSceneId(config.title, {});
+        const scene = {};
+        Object.keys(config).forEach(key => {
+            if (key !== 'default' && TOUR_DEFAULT_KEYS.indexOf(key) === -1) {
+                scene[key] = config[key];
+                delete config[key];
+            }
+        });
+        config.default = Object.assign({}, isPlainObject(config.default) ? config.default : {});
+        Object.keys(config).forEach(key => {
+            if (key !== 'default') {
+                config.default[key] = config[key];
+                delete config[key];
+            }
+        });
+        config.scenes = {};
+        config.scenes[sceneId] = scene;
+        fixes.push(`Converted the single panorama configuration into a tour with scene "${sceneId}"`);
+    }
+    
+    if (config.scenes === undefined) {
+        errors.push('No "scenes" found. Expected a Pannellum tour or single panorama configuration');
+        return { config: null, fixes: fixes, errors: errors };
+    }
+    
+    // Scenes given as a list instead of an object keyed by scene ID
+    if (Array.isArray(config.scenes)) {
+        const scenes = {};
+        config.scenes.forEach((scene, index) => {
+            if (!isPlainObject(scene)) {
+                errors.push(`Scene #${index + 1} is not an object`);
+                return;
+            }
+            const sceneId = createUniqueSceneId(scene.id || scene.title || `scene${index + 1}`, scenes);
+            delete scene.id;
+            scenes[sceneId] = scene;
+        });
+        config.scenes = scenes;
+        fixes.push(`Converted the list of ${Object.keys(scenes).length} scene(s) into scenes keyed by ID`);
+    } else if (!isPlainObject(config.scenes)) {
+        errors.push('"scenes" must be an object of scenes keyed by scene ID');
+    }
+    
+    if (!isPlainObject(config.default)) {
+        if (config.default !== undefined) {
+            errors.push('"default" must be an object');
+        } else {
+            config.default = {};
+            fixes.push('Added the missing "default" block');
+        }
+    }
+    
+    if (errors.length > 0) {
+        return { config: null, fixes: fixes, errors: errors };
+    }
+    
+    // Check every scene and its hotspots
+    let addedHotspotLists = 0;
+    let addedHotspotTypes = 0;
+    Object.keys(config.scenes).forEach(sceneId => {
+        const scene = config.scenes[sceneId];
+        if (!isPlainObject(scene)) {
+            errors.push(`Scene "${sceneId}" is not an object`);
+            return;
+        }
+        
+        if (!scene.panorama && !scene.multiRes && !scene.cubeMap) {
+            errors.push(`Scene "${sceneId}" has no panorama, multiRes or cubeMap source`);
+        }
+        
+        if (scene.hotSpots === undefined) {
+            scene.hotSpots = [];
+            addedHotspotLists++;
+        } else if (!Array.isArray(scene.hotSpots)) {
+            errors.push(`"hotSpots" of scene "${sceneId}" must be a list`);
+            return;
+        }
+        
+        scene.hotSpots.forEach((hotspot, index) => {
+            if (!isPlainObject(hotspot)) {
+                errors.push(`Hotspot #${index + 1} in scene "${sceneId}" is not an object`);
+            } else if (!hotspot.type) {
+                // Pannellum only follows hotspots typed as scene links
+                hotspot.type = hotspot.sceneId ? 'scene' : 'info';
+                addedHotspotTypes++;
+            }
+        });
+    });
+    
+    if (errors.length > 0) {
+        return { config: null, fixes: fixes, errors: errors };
+    }
+    
+    if (addedHotspotLists > 0) {
+        fixes.push(`Added an empty hotspot list to ${addedHotspotLists} scene(s)`);
+    }
+    if (addedHotspotTypes > 0) {
+        fixes.push(`Set the missing type of ${addedHotspotTypes} hotspot(s)`);
+    }
+    
+    // Scenes keyed by title: switch to IDs the editor accepts and keep the title
+    Object.keys(config.scenes).forEach(sceneId => {
+        if (/^[a-zA-Z0-9_-]+$/.test(sceneId)) return;
+        
+        const newSceneId = createUniqueSceneId(sceneId, config.scenes);
+        if (!config.scenes[sceneId].title) {
+            config.scenes[sceneId].title = sceneId;
+        }
+        renameSceneInConfig(config, sceneId, newSceneId);
+        fixes.push(`Renamed scene "${sceneId}" to "${newSceneId}"`);
+    });
+    
+    // Hotspots pointing at a scene title instead of its ID
+    const sceneIdsByTitle = {};
+    Object.keys(config.scenes).forEach(sceneId => {
+        const title = config.scenes[sceneId].title;
+        if (title && !sceneIdsByTitle[title]) {
+            sceneIdsByTitle[title] = sceneId;
+        }
+    });
+    let relinkedHotspots = 0;
+    Object.values(config.scenes).forEach(scene => {
+        scene.hotSpots.forEach(hotspot => {
+            if (hotspot.sceneId && !config.scenes[hotspot.sceneId] && sceneIdsByTitle[hotspot.sceneId]) {
+                hotspot.sceneId = sceneIdsByTitle[hotspot.sceneId];
+                relinkedHotspots++;
+            }
+        });
+    });
+    if (relinkedHotspots > 0) {
+        fixes.push(`Linked ${relinkedHotspots} hotspot(s) that used a scene title to the scene ID`);
+    }
+    
+    // Scene order
+    const sceneIds = Object.keys(config.scenes);
+    const sceneOrder = [];
+    (Array.isArray(config.default.sceneOrder) ? config.default.sceneOrder : []).forEach(sceneId => {
+        if (config.scenes[sceneId] && sceneOrder.indexOf(sceneId) === -1) {
+            sceneOrder.push(sceneId);
+        }
+    });
+    sceneIds.forEach(sceneId => {
+        if (sceneOrder.indexOf(sceneId) === -1) {
+            sceneOrder.push(sceneId);
+        }
+    });
+    if (!Array.isArray(config.default.sceneOrder) || config.default.sceneOrder.length === 0) {
+        if (sceneIds.length > 0) {
+            fixes.push('Created the scene order from the order of the scenes');
+        }
+    } else if (JSON.stringify(sceneOrder) !== JSON.stringify(config.default.sceneOrder)) {
+        fixes.push('Removed unknown or repeated scenes from the scene order and added the missing ones');
+    }
+    config.default.sceneOrder = sceneOrder;
+    
+    // First scene
+    if (sceneIds.length > 0 && !config.scenes[config.default.firstScene]) {
+        if (config.default.firstScene) {
+            fixes.push(`First scene "${config.default.firstScene}" doesn't exist, using "${sceneOrder[0]}"`);
+        } else {
+            fixes.push(`Set the first scene to "${sceneOrder[0]}"`);
+        }
+        config.default.firstScene = sceneOrder[0];
+    }
+    
+    // Hotspot IDs are generated when the tour is committed
+    let missingHotspotIds = 0;
+    Object.values(config.scenes).forEach(scene => {
+        missingHotspotIds += scene.hotSpots.filter(hotspot => !hotspot.id || typeof hotspot.id !== 'string' || hotspot.id.trim() === '').length;
+    });
+    if (missingHotspotIds > 0) {
+        fixes.push(`Generated IDs for ${missingHotspotIds} hotspot(s)`);
+    }
+    
+    return { config: config, fixes: fixes, errors: errors };
+}
+
+/**
+ * Check whether a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Turn a scene title into a scene ID that isn't used yet
+ * Only letters, numbers, underscores and hyphens are kept
+ * @param {string} text - Title or ID to start from
+ * @param {Object} scenes - Scenes whose IDs must be avoided
+ * @returns {string} Unique scene ID
+ */
+function createUniqueSceneId(text, scenes) {
+    const base = String(text || '').trim()
+        .replace(/[^a-zA-Z0-9_-]+/g, '_')
+        .replace(/^_+|_+$/g, '') || 'scene';
+    
+    let sceneId = base;
+    let suffix = 2;
+    while (scenes[sceneId]) {
+        sceneId = `${base}_${suffix++}`;
+    }
+    return sceneId;
+}
+
+/**
+ * ===================================================================
+ * KRPANO AND MARZIPANO IMPORT
+ * ===================================================================
+ */
+/**
+ * Tell which kind of tour a file holds
+ * @param {string} fileName - Name of the file
+ * @param {string} text - File contents
+ * @returns {string} 'krpano' for krpano XML, 'marzipano' for a Marzipano data.js, otherwise 'json'
+ */
+function detectTourFormat(fileName, text) {
+    const start = text.replace(/^\uFEFF/, '').trim();
+    if (/\.xml$/i.test(fileName) || start.charAt(0) === '<') {
+        return 'krpano';
+    }
+    if (/\.js$/i.test(fileName) || /^(?:var|let|const|window\.)\s*APP_DATA\b/.test(start)) {
+        return 'marzipano';
+    }
+    return 'json';
+}
+
+/**
+ * Collect the parts of a tour that a conversion leaves out or changes
+ * The same message for several scenes is listed once, with the scenes it applies to
+ * @returns {{add: Function, list: Function}} add(message, [sceneId]) records a message; list() returns them
+ */
+function createConversionReport() {
+    const entries = new Map();
+    
+    return {
+        add: (message, sceneId) => {
+            if (!entries.has(message)) entries.set(message, []);
+            if (sceneId !== undefined && entries.get(message).indexOf(sceneId) === -1) {
+                entries.get(message).push(sceneId);
+            }
+        },
+        list: () => Array.from(entries.keys()).map(message => {
+            const sceneIds = entries.get(message);
+            if (sceneIds.length === 0) return message;
+            
+            const named = sceneIds.slice(0, 3).map(sceneId => `"${sceneId}"`).join(', ');
+            const more = sceneIds.length > 3 ? ` and ${sceneIds.length - 3} more` : '';
+            return `${message} (${named}${more})`;
+        })
+    };
+}
+
+/**
+ * Remove the scene links of a converted tour whose target scene was left out or doesn't exist
+ * Pannellum fails when such a link is clicked, and the import doesn't repair them
+ * @param {Object} config - Converted tour configuration, updated in place
+ * @param {Object} report - Conversion report
+ */
+function removeLinksToMissingScenes(config, report) {
+    Object.keys(config.scenes).forEach(sceneId => {
+        const scene = config.scenes[sceneId];
+        scene.hotSpots = scene.hotSpots.filter(hotspot => {
+            if (hotspot.type !== 'scene' || config.scenes[hotspot.sceneId]) return true;
+            
+            report.add(`Hotspots linking to the left-out or missing scene "${hotspot.sceneId}" were removed`, sceneId);
+            return false;
+        });
+    });
+}
+
+/**
+ * Convert a krpano tour.xml into the editor's tour format
+ * Scenes become multires, cube map or equirectangular scenes; hotspots that open a scene become scene links
+ * @param {string} text - XML contents
+ * @returns {{config: Object, report: string[]}} Tour configuration and the conversion report
+ */
+function convertKrpanoTour(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    const root = xml.documentElement;
+    if (xml.getElementsByTagName('parsererror').length > 0 || root.nodeName !== 'krpano') {
+        throw new Error('the file is not a krpano XML tour');
+    }
+    
+    const sceneElements = getKrpanoChildren(root, 'scene');
+    if (sceneElements.length === 0) {
+        throw new Error('the krpano XML has no <scene> elements. Scenes in included files are not read.');
+    }
+    
+    const report = createConversionReport();
+    const config = { default: {}, scenes: {} };
+    const sceneTitles = {};
+    sceneElements.forEach((element, index) => {
+        const sceneId = element.getAttribute('name') || `scene${index + 1}`;
+        sceneTitles[sceneId] = element.getAttribute('title') || '';
+    });
+    
+    sceneElements.forEach((element, index) => {
+        const sceneId = element.getAttribute('name') || `scene${index + 1}`;
+        const view = getKrpanoChildren(element, 'view')[0];
+        const scene = {};
+        
+        if (sceneTitles[sceneId]) {
+            scene.title = sceneTitles[sceneId];
+        }
+        
+        // krpano looks down with positive vertical angles, Pannellum up
+        let hfov = view ? parseFloat(view.getAttribute('fov')) : NaN;
+        if (view && (view.getAttribute('fovtype') || '').toUpperCase() === 'VFOV') {
+            hfov = verticalToHorizontalFov(hfov);
+            report.add('Vertical start fields of view were converted for a 16:9 view', sceneId);
+        }
+        scene.hfov = isNaN(hfov) ? 100 : roundAngle(hfov);
+        scene.pitch = view ? roundAngle(-(parseFloat(view.getAttribute('vlookat')) || 0)) : 0;
+        scene.yaw = view ? roundAngle(parseFloat(view.getAttribute('hlookat')) || 0) : 0;
+        
+        const source = convertKrpanoImage(element, sceneId, report);
+        if (source) {
+            Object.assign(scene, source);
+        } else {
+            report.add('Scenes without a supported image were left out', sceneId);
+            return;
+        }
+        
+        scene.hotSpots = [];
+        getKrpanoChildren(element, 'hotspot').forEach(hotspot => {
+            const target = getKrpanoLinkedScene(hotspot);
+            if (getKrpanoChildren(hotspot, 'point').length > 0) {
+                report.add('Polygon hotspots were left out', sceneId);
+                return;
+            }
+            if (!target) {
+                report.add('Hotspots that don\'t open a scene were left out', sceneId);
+                return;
+            }
+            
+            scene.hotSpots.push({
+                pitch: roundAngle(-(parseFloat(hotspot.getAttribute('atv')) || 0)),
+                yaw: roundAngle(parseFloat(hotspot.getAttribute('ath')) || 0),
+                type: 'scene',
+                text: sceneTitles[target] || target,
+                sceneId: target
+            });
+        });
+        
+        config.scenes[sceneId] = scene;
+    });
+    removeLinksToMissingScenes(config, report);
+    
+    const ignored = ['include', 'action', 'plugin', 'layer', 'events', 'style', 'contextmenu'];
+    ignored.forEach(name => {
+        const count = root.getElementsByTagName(name).length;
+        if (count > 0) {
+            report.add(`${count} <${name}> element(s) were not imported`);
+        }
+    });
+    
+    return { config: config, report: report.list() };
+}
+
+/**
+ * Convert the image of a krpano scene
+ * Multires cube images are preferred over plain cube faces and spherical images;
+ * a scene whose multires image can't be converted is left out
+ * @param {Element} sceneElement - krpano <scene> element
+ * @param {string} sceneId - Scene ID for the report
+ * @param {Object} report - Conversion report
+ * @returns {Object|null} Scene source properties, or null if the scene has no supported image
+ */
+function convertKrpanoImage(sceneElement, sceneId, report) {
+    const images = getKrpanoChildren(sceneElement, 'image');
+    const multires = images.find(image => getKrpanoChildren(image, 'level').length > 0);
+    
+    // The <cube> of a multires image's levels is not a plain cube image
+    const plainImages = images.filter(image => image !== multires && getKrpanoChildren(image, 'level').length === 0);
+    const cube = plainImages.find(image => getKrpanoChildren(image, 'cube').length > 0);
+    const sphere = plainImages.find(image => getKrpanoChildren(image, 'sphere').length > 0);
+    
+    if (multires) {
+        const levels = getKrpanoChildren(multires, 'level')
+            .filter(level => getKrpanoChildren(level, 'cube').length > 0)
+            .map(level => ({
+                size: parseInt(level.getAttribute('tiledimagewidth')) || 0,
+                url: stripKrpanoPath(getKrpanoChildren(level, 'cube')[0].getAttribute('url') || '')
+            }))
+            .sort((a, b) => a.size - b.size);
+        return levels.length > 0 ? buildKrpanoMultiRes(levels, parseInt(multires.getAttribute('tilesize')) || 512, sceneId, report) : null;
+    }
+    
+    if (cube) {
+        const url = stripKrpanoPath(getKrpanoChildren(cube, 'cube')[0].getAttribute('url') || '');
+        if (url.indexOf('%s') !== -1) {
+            return { type: 'cubemap', cubeMap: CUBE_FACE_LETTERS.map(face => url.replace(/%s/g, face)) };
+        }
+        report.add('Cube images in a single strip file are not supported', sceneId);
+    }
+    
+    if (sphere) {
+        const image = getKrpanoChildren(sphere, 'sphere')[0];
+        const source = { type: 'equirectangular', panorama: stripKrpanoPath(image.getAttribute('url') || '') };
+        const haov = parseFloat(sphere.getAttribute('hfov'));
+        const vaov = parseFloat(sphere.getAttribute('vfov'));
+        if (!isNaN(haov) && haov < 360) source.haov = haov;
+        if (!isNaN(vaov) && vaov < 180) source.vaov = vaov;
+        if (sphere.getAttribute('voffset')) {
+            report.add('Vertical offsets of partial panoramas were not converted', sceneId);
+        }
+        return source;
+    }
+    
+    return null;
+}
+
+/**
+ * Get the child elements of a krpano element with a given name
+ * @param {Element} element - Parent element
+ * @param {string} name - Element name
+ * @returns {Array<Element>} Matching direct children
+ */
+function getKrpanoChildren(element, name) {
+    return Array.from(element.children).filter(child => child.nodeName === name);
+}
+
+/**
+ * Build multires settings from the levels of a krpano multires cube image
+ * The level URLs must only differ by the level number, which becomes %l
+ * @param {Array<Object>} levels - {size, url} from the smallest to the largest level
+ * @param {number} tileResolution - krpano tile size
+ * @param {string} sceneId - Scene ID for the report
+ * @param {Object} report - Conversion report
+ * @returns {Object|null} Multires scene source, or null if the levels can't be described by one path
+ */
+function buildKrpanoMultiRes(levels, tileResolution, sceneId, report) {
+    // Number parts that change between levels are the level number
+    const top = levels[levels.length - 1].url.split(/(\d+)/);
+    const bottom = levels[0].url.split(/(\d+)/);
+    if (top.length !== bottom.length) {
+        report.add('Multires levels with different tile paths are not supported', sceneId);
+        return null;
+    }
+    
+    const template = top.map((part, index) => (index % 2 === 1 && part !== bottom[index] ? '%l' : part)).join('');
+    if (!levels.every((level, index) => template.replace(/%l/g, index + 1) === level.url)) {
+        report.add('Multires levels that aren\'t numbered from 1 are not supported', sceneId);
+        return null;
+    }
+    
+    if (/%0+[hvxyuc]/.test(template)) {
+        report.add('Tile numbers padded with zeros are not supported by Pannellum; rename the tiles', sceneId);
+    }
+    
+    const tilePath = splitTilePath(template
+        .replace(/%0*[vyr]/g, '%y')
+        .replace(/%0*[hxuc]/g, '%x'));
+    if (!tilePath) {
+        report.add('Multires tile paths without the face letter %s are not supported', sceneId);
+        return null;
+    }
+    
+    report.add('krpano numbers tile rows and columns from 1 and Pannellum from 0; rename the tiles or generate them again', sceneId);
+    
+    const cubeResolution = levels[levels.length - 1].size;
+    if (levels.some((level, index) => level.size !== Math.round(cubeResolution / Math.pow(2, levels.length - 1 - index)))) {
+        report.add('Multires levels are not exact halves of each other, so tiles may not line up', sceneId);
+    }
+    
+    return {
+        type: 'multires',
+        multiRes: {
+            basePath: tilePath.basePath,
+            path: tilePath.path,
+            extension: tilePath.extension,
+            tileResolution: tileResolution,
+            maxLevel: levels.length,
+            cubeResolution: cubeResolution
+        }
+    };
+}
+
+/**
+ * Remove krpano's path placeholders, which point at the XML or viewer folder
+ * @param {string} url - krpano URL
+ * @returns {string} URL relative to the tour file
+ */
+function stripKrpanoPath(url) {
+    return url.replace(/^%(?:CURRENTXML|FIRSTXML|SWFPATH|HTMLPATH|VIEWER)%\//i, '');
+}
+
+/**
+ * Find the scene a krpano hotspot opens
+ * Reads the linkedscene attribute of the vtour skin, or a loadscene() call in onclick
+ * @param {Element} hotspot - krpano <hotspot> element
+ * @returns {string|null} Scene name, or null for other hotspots
+ */
+function getKrpanoLinkedScene(hotspot) {
+    if (hotspot.getAttribute('linkedscene')) {
+        return hotspot.getAttribute('linkedscene');
+    }
+    
+    const match = /loadscene\(\s*['"]?([^,'")\s]+)/i.exec(hotspot.getAttribute('onclick') || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Convert a Marzipano Tool data.js into the editor's tour format
+ * Scenes become multires scenes on the tool's tiles/<scene>/<level>/<face>/<row>/<column> layout
+ * @param {string} text - data.js contents
+ * @returns {{config: Object, report: string[]}} Tour configuration and the conversion report
+ */
+function convertMarzipanoTour(text) {
+    // APP_DATA is a plain object literal, so it is read as JSON instead of being run
+    let data;
+    try {
+        data = JSON.parse(text.substring(text.indexOf('{'), text.lastIndexOf('}') + 1));
+    } catch (error) {
+        throw new Error('APP_DATA could not be read from the Marzipano data.js');
+    }
+    if (!data || !Array.isArray(data.scenes)) {
+        throw new Error('the Marzipano data.js has no scenes');
+    }
+    
+    const report = createConversionReport();
+    const config = { default: {}, scenes: {} };
+    const sceneNames = {};
+    data.scenes.forEach(scene => {
+        sceneNames[scene.id] = scene.name || '';
+    });
+    
+    data.scenes.forEach((sceneData, index) => {
+        const sceneId = sceneData.id || `scene${index + 1}`;
+        const view = sceneData.initialViewParameters || {};
+        const scene = {};
+        
+        if (sceneData.name) {
+            scene.title = sceneData.name;
+        }
+        
+        // Marzipano uses radians, a vertical field of view and looks down with positive pitch
+        scene.hfov = view.fov ? roundAngle(verticalToHorizontalFov(view.fov * 180 / Math.PI)) : 100;
+        scene.pitch = roundAngle(-(view.pitch || 0) * 180 / Math.PI);
+        scene.yaw = roundAngle((view.yaw || 0) * 180 / Math.PI);
+        if (view.fov) {
+            report.add('Vertical start fields of view were converted for a 16:9 view');
+        }
+        
+        const multiRes = convertMarzipanoLevels(sceneData, sceneId, report);
+        if (!multiRes) {
+            report.add('Scenes without cube levels were left out', sceneId);
+            return;
+        }
+        scene.type = 'multires';
+        scene.multiRes = multiRes;
+        
+        scene.hotSpots = [];
+        (sceneData.linkHotspots || []).forEach(hotspot => {
+            if (hotspot.rotation) {
+                report.add('Rotation of link hotspots was not converted', sceneId);
+            }
+            scene.hotSpots.push({
+                pitch: roundAngle(-(hotspot.pitch || 0) * 180 / Math.PI),
+                yaw: roundAngle((hotspot.yaw || 0) * 180 / Math.PI),
+                type: 'scene',
+                text: sceneNames[hotspot.target] || hotspot.target,
+                sceneId: hotspot.target
+            });
+        });
+        
+        (sceneData.infoHotspots || []).forEach(hotspot => {
+            if (hotspot.text) {
+                report.add('Info hotspots kept their title; their text was left out', sceneId);
+            }
+            scene.hotSpots.push({
+                pitch: roundAngle(-(hotspot.pitch || 0) * 180 / Math.PI),
+                yaw: roundAngle((hotspot.yaw || 0) * 180 / Math.PI),
+                type: 'info',
+                text: hotspot.title || ''
+            });
+        });
+        
+        config.scenes[sceneId] = scene;
+    });
+    removeLinksToMissingScenes(config, report);
+    
+    if (data.settings) {
+        report.add('Viewer settings ("settings") were not imported');
+    }
+    
+    return { config: config, report: report.list() };
+}
+
+/**
+ * Build multires settings from the levels of a Marzipano scene
+ * Fallback-only levels are skipped; Pannellum's level 1 must be the tool's level folder 1
+ * @param {Object} scene - Marzipano scene data
+ * @param {string} sceneId - Scene ID for the report
+ * @param {Object} report - Conversion report
+ * @returns {Object|null} multiRes settings, or null if the scene has no levels
+ */
+function convertMarzipanoLevels(scene, sceneId, report) {
+    const allLevels = Array.isArray(scene.levels) ? scene.levels : [];
+    const levels = allLevels.filter(level => !level.fallbackOnly);
+    if (levels.length === 0) return null;
+    
+    const first = allLevels.indexOf(levels[0]);
+    if (first !== 1) {
+        report.add(`Tile level folders start at ${first} instead of 1; rename them or generate the tiles again`, sceneId);
+    }
+    
+    const cubeResolution = levels[levels.length - 1].size;
+    if (levels.some((level, index) => level.size !== cubeResolution / Math.pow(2, levels.length - 1 - index) || level.tileSize !== levels[0].tileSize)) {
+        report.add('Levels that don\'t double in size with one tile size are not supported by Pannellum', sceneId);
+    }
+    
+    return {
+        basePath: `tiles/${scene.id}/`,
+        path: '%l/%s/%y/%x',
+        extension: 'jpg',
+        tileResolution: levels[0].tileSize,
+        maxLevel: levels.length,
+        cubeResolution: cubeResolution
+    };
+}
+
+/**
+ * Split a tile URL template into Pannellum's multiRes basePath, path and extension
+ * @param {string} template - Tile URL with %s, %l, %y and %x placeholders
+ * @returns {Object|null} {basePath, path, extension}, or null without a %s face placeholder
+ */
+function splitTilePath(template) {
+    if (template.indexOf('%s') === -1) return null;
+    
+    const slash = template.lastIndexOf('/', template.search(/%[slyx]/));
+    const path = template.substring(slash + 1);
+    const dot = path.lastIndexOf('.');
+    
+    return {
+        basePath: template.substring(0, slash + 1),
+        path: dot > -1 ? path.substring(0, dot) : path,
+        extension: dot > -1 ? path.substring(dot + 1) : 'jpg'
+    };
+}
+
+/**
+ * Turn a vertical field of view into Pannellum's horizontal one, for a 16:9 view
+ * @param {number} vfov - Vertical field of view in degrees
+ * @returns {number} Horizontal field of view in degrees
+ */
+function verticalToHorizontalFov(vfov) {
+    const radians = vfov * Math.PI / 180;
+    return 2 * Math.atan(Math.tan(radians / 2) * IMPORT_VIEW_ASPECT) * 180 / Math.PI;
+}
+
+/**
+ * Round an imported angle to a tenth of a degree, like the editor's own angles
+ * @param {number} angle - Angle in degrees
+ * @returns {number} Rounded angle
+ */
+function roundAngle(angle) {
+    return Math.round(angle * 10) / 10;
+}
+
+/**
+ * ===================================================================
+ * TOUR MERGE
+ * ===================================================================
+ */
+/**
+ * Read a tour file to merge into the working tour
+ * The file is checked and migrated like an import before the merge modal opens
+ * @param {Event} e - File input change event
+ */
+function importMergeFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
     
-    // Remove quotes from property names that are valid JavaScript identifiers
-    // This regex matches quoted property names that are valid JS identifiers
-    jsonString = jsonString.replace(/"([a-zA-Z_$][a-zA-Z0-9_$]*)"\s*:/g, '$1:');
+    readTourFile(file, (config) => showMergeTourModal(config, file.name));
+}
+
+/**
+ * Show the modal for merging a tour, with the default prefix taken from the file name
+ * @param {Object} config - Tour returned by normalizeImportedConfig
+ * @param {string} fileName - Name of the tour file
+ */
+function showMergeTourModal(config, fileName) {
+    pendingMerge = { config: config, fileName: fileName };
+    
+    const hotspotCount = Object.values(config.scenes).reduce((count, scene) => count + scene.hotSpots.length, 0);
+    document.getElementById('mergeTourSummary').textContent =
+        `"${fileName}" has ${Object.keys(config.scenes).length} scene(s) and ${hotspotCount} hotspot(s). ` +
+        'Its scenes are added after the current ones; the tour settings of the current tour are kept.';
+    document.getElementById('mergeTourPrefix').value = createUniqueSceneId(fileName.replace(/\.[^.]*$/, ''), {}) + '_';
+    document.getElementById('mergeSceneCollisions').value = 'rename';
+    document.getElementById('mergeHotspotCollisions').value = 'rename';
+    
+    renderMergeTourCollisions();
+    mergeTourModal.style.display = 'flex';
+}
+
+/**
+ * Hide the merge modal and forget the tour that was read
+ */
+function hideMergeTourModal() {
+    mergeTourModal.style.display = 'none';
+    pendingMerge = null;
+}
+
+/**
+ * Read the collision options of the merge modal
+ * @returns {{prefix: string, scenes: string, hotspots: string}} Prefix and 'rename' or 'skip' per kind of ID
+ */
+function readMergeTourOptions() {
+    return {
+        prefix: document.getElementById('mergeTourPrefix').value.trim(),
+        scenes: document.getElementById('mergeSceneCollisions').value,
+        hotspots: document.getElementById('mergeHotspotCollisions').value
+    };
+}
+
+/**
+ * List the scene and hotspot IDs of the merged tour that are already in use, and what happens to them
+ */
+function renderMergeTourCollisions() {
+    if (!pendingMerge) return;
+    
+    const options = readMergeTourOptions();
+    const prefixValid = /^[a-zA-Z0-9_-]*$/.test(options.prefix);
+    const plan = planTourMerge(pendingMerge.config, prefixValid ? options : Object.assign({}, options, { prefix: '' }));
+    const table = document.getElementById('mergeTourTable');
+    const tbody = table.querySelector('tbody');
+    const addRow = (kind, id, result) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td>${kind}</td><td>${escapeHtml(id)}</td><td>${result}</td>`;
+        tbody.appendChild(row);
+    };
     
-    return jsonString;
+    tbody.innerHTML = '';
+    plan.sceneRenames.forEach(entry => addRow('Scene', entry.from, `Renamed to <strong>${escapeHtml(entry.to)}</strong>`));
+    plan.skippedScenes.forEach(sceneId => addRow('Scene', sceneId, 'Skipped; links use the current scene'));
+    plan.hotspotRenames.forEach(entry => addRow('Hotspot', entry.from, `Renamed to <strong>${escapeHtml(entry.to)}</strong>`));
+    plan.skippedHotspots.forEach(hotspotId => addRow('Hotspot', hotspotId, 'Skipped'));
+    
+    const sceneCollisions = plan.sceneRenames.length + plan.skippedScenes.length;
+    const hotspotCollisions = plan.hotspotRenames.length + plan.skippedHotspots.length;
+    document.getElementById('mergeSceneCollisionsGroup').style.display = sceneCollisions > 0 ? 'block' : 'none';
+    document.getElementById('mergeHotspotCollisionsGroup').style.display = hotspotCollisions > 0 ? 'block' : 'none';
+    table.style.display = sceneCollisions + hotspotCollisions > 0 ? 'table' : 'none';
+    document.getElementById('mergeTourPrefix').classList.toggle('invalid', !prefixValid);
+    document.getElementById('mergeTourStatus').textContent = sceneCollisions + hotspotCollisions > 0
+        ? `${sceneCollisions} scene ID(s) and ${hotspotCollisions} hotspot ID(s) are already used in this tour`
+        : 'No scene or hotspot IDs are used in both tours';
 }
 
 /**
- * Fallback clipboard copy for older browsers
- * @param {string} text - Text to copy
+ * Work out how a tour is merged into the working tour
+ * Scene IDs already in use are renamed with renameSceneInConfig, so the tour's links follow, or the scene is
+ * skipped and links to it lead to the current tour's scene. Hotspot IDs already in use are renamed, with their
+ * return links, or the hotspot is skipped. Hotspot styles and floors get new IDs when theirs are taken.
+ * @param {Object} incoming - Tour returned by normalizeImportedConfig
+ * @param {Object} options - {prefix, scenes, hotspots} from readMergeTourOptions
+ * @returns {Object} {config, sceneRenames, skippedScenes, hotspotRenames, skippedHotspots} with the changed copy of the tour
  */
-function fallbackCopyToClipboard(text) {
-    // Create temporary textarea for older browsers
-    const textArea = document.createElement('textarea');
-    textArea.value = text;
-    textArea.style.position = 'fixed';
-    textArea.style.left = '-999999px';
-    textArea.style.top = '-999999px';
-    document.body.appendChild(textArea);
-    textArea.focus();
-    textArea.select();
+function planTourMerge(incoming, options) {
+    const config = JSON.parse(JSON.stringify(incoming));
+    const plan = { config: config, sceneRenames: [], skippedScenes: [], hotspotRenames: [], skippedHotspots: [] };
+    
+    // Scene IDs
+    Object.keys(config.scenes).filter(sceneId => tourConfig.scenes[sceneId]).forEach(sceneId => {
+        if (options.scenes === 'skip') {
+            removeSceneFromConfig(config, sceneId);
+            plan.skippedScenes.push(sceneId);
+            return;
+        }
+        
+        const newSceneId = createUniqueSceneId(options.prefix + sceneId, Object.assign({}, tourConfig.scenes, config.scenes));
+        renameSceneInConfig(config, sceneId, newSceneId);
+        plan.sceneRenames.push({ from: sceneId, to: newSceneId });
+    });
+    
+    // Hotspot IDs are unique across the whole tour
+    const usedHotspotIds = new Set();
+    [tourConfig, config].forEach(tour => {
+        Object.values(tour.scenes).forEach(scene => {
+            (scene.hotSpots || []).forEach(hotspot => usedHotspotIds.add(hotspot.id));
+        });
+    });
+    
+    Object.keys(config.scenes).forEach(sceneId => {
+        const scene = config.scenes[sceneId];
+        scene.hotSpots = scene.hotSpots.filter(hotspot => {
+            if (!hotspot.id || !isHotspotIdInUse(hotspot.id)) return true;
+            
+            // The return link of a two-way link stores this hotspot's ID
+            const targetScene = config.scenes[hotspot.sceneId];
+            const partner = targetScene && targetScene.hotSpots.find(h => h.linkedHotspotId === hotspot.id && h.sceneId === sceneId);
+            
+            if (options.hotspots === 'skip') {
+                if (partner) delete partner.linkedHotspotId;
+                plan.skippedHotspots.push(hotspot.id);
+                return false;
+            }
+            
+            let newId = options.prefix + hotspot.id;
+            let suffix = 2;
+            while (usedHotspotIds.has(newId)) {
+                newId = `${options.prefix}${hotspot.id}_${suffix++}`;
+            }
+            usedHotspotIds.add(newId);
+            plan.hotspotRenames.push({ from: hotspot.id, to: newId });
+            
+            if (partner) partner.linkedHotspotId = newId;
+            hotspot.id = newId;
+            return true;
+        });
+    });
+    
+    mergeHotspotStyleIds(config);
+    mergeFloorIds(config);
+    return plan;
+}
+
+/**
+ * Take a scene out of a tour that is being merged, with everything that refers to it
+ * Hotspots linking to it keep their target, which is the current tour's scene of the same ID after the merge
+ * @param {Object} config - Tour configuration to update
+ * @param {string} sceneId - Scene to remove
+ */
+function removeSceneFromConfig(config, sceneId) {
+    delete config.scenes[sceneId];
+    config.default.sceneOrder = config.default.sceneOrder.filter(id => id !== sceneId);
+    
+    // Return links into the removed scene would point at unrelated hotspots of the current scene
+    Object.values(config.scenes).forEach(scene => {
+        scene.hotSpots.forEach(hotspot => {
+            if (hotspot.sceneId === sceneId) delete hotspot.linkedHotspotId;
+        });
+    });
+    
+    const positions = config.editor && config.editor.graph && config.editor.graph.positions;
+    if (positions) {
+        delete positions[sceneId];
+    }
+    
+    const scenePin = findScenePin(sceneId, config);
+    if (scenePin) {
+        delete scenePin.floor.pins[sceneId];
+    }
+}
+
+/**
+ * Give the hotspot styles of a tour being merged new IDs and CSS classes where the working tour uses them
+ * A style identical to one of the working tour is dropped and its hotspots use the existing one
+ * @param {Object} config - Tour configuration to update
+ */
+function mergeHotspotStyleIds(config) {
+    const styles = getHotspotStyles().slice();
+    const renamedClasses = {};
+    
+    config.hotspotStyles = (config.hotspotStyles || []).filter(style => {
+        const existing = styles.find(entry => entry.cssClass === style.cssClass);
+        if (existing && existing.icon === style.icon && existing.size === style.size && existing.tooltip === style.tooltip) {
+            return false;
+        }
+        
+        if (existing || styles.some(entry => entry.id === style.id)) {
+            let number = styles.length + 1;
+            while (styles.some(entry => entry.id === `style_${number}` || entry.cssClass === `hs-style-${number}`)) {
+                number++;
+            }
+            renamedClasses[style.cssClass] = `hs-style-${number}`;
+            style.id = `style_${number}`;
+            style.cssClass = `hs-style-${number}`;
+        }
+        
+        styles.push(style);
+        return true;
+    });
+    
+    if (config.hotspotStyles.length === 0) {
+        delete config.hotspotStyles;
+    }
+    
+    Object.values(config.scenes).forEach(scene => {
+        scene.hotSpots.forEach(hotspot => {
+            if (renamedClasses[hotspot.cssClass]) hotspot.cssClass = renamedClasses[hotspot.cssClass];
+        });
+    });
+}
+
+/**
+ * Give the floors of a tour being merged IDs the working tour doesn't use
+ * @param {Object} config - Tour configuration to update
+ */
+function mergeFloorIds(config) {
+    const floors = getMinimapFloors().slice();
+    
+    ((config.minimap && config.minimap.floors) || []).forEach(floor => {
+        if (floors.some(entry => entry.id === floor.id)) {
+            let number = floors.length + 1;
+            while (floors.some(entry => entry.id === `floor_${number}`)) {
+                number++;
+            }
+            floor.id = `floor_${number}`;
+        }
+        floors.push(floor);
+    });
+}
+
+/**
+ * Merge the tour of the merge modal into the working tour
+ * The merged scenes are appended to the scene order; missing hotspot IDs are generated with ensureHotspotIds
+ */
+function confirmMergeTour() {
+    if (!pendingMerge) return;
+    
+    const options = readMergeTourOptions();
+    if (!/^[a-zA-Z0-9_-]*$/.test(options.prefix)) {
+        alert('The prefix can only contain letters, numbers, underscores, and hyphens');
+        return;
+    }
+    
+    const plan = planTourMerge(pendingMerge.config, options);
+    const merged = plan.config;
+    const label = `Merge "${pendingMerge.fileName}"`;
+    const snapshot = createHistorySnapshot();
+    const wasEmpty = Object.keys(tourConfig.scenes).length === 0;
     
     try {
-        document.execCommand('copy');
-        showCopyFeedback();
-    } catch (err) {
-        console.error('Fallback copy failed:', err);
-        alert('Copy failed. Please manually select and copy the configuration.');
+        Object.assign(tourConfig.scenes, merged.scenes);
+        tourConfig.default.sceneOrder = (tourConfig.default.sceneOrder || []).concat(merged.default.sceneOrder);
+        if (wasEmpty) {
+            tourConfig.default.firstScene = merged.default.firstScene || merged.default.sceneOrder[0] || '';
+        }
+        
+        if (merged.hotspotStyles) {
+            tourConfig.hotspotStyles = getHotspotStyles().concat(merged.hotspotStyles);
+        }
+        
+        const floors = (merged.minimap && merged.minimap.floors) || [];
+        if (floors.length > 0) {
+            tourConfig.minimap = tourConfig.minimap || {};
+            tourConfig.minimap.floors = getMinimapFloors().concat(floors);
+        }
+        
+        mergeGraphPositions(merged);
+        ensureHotspotIds();
+        reorderScenes(tourConfig.default.sceneOrder);
+        refreshEditorFromConfig(wasEmpty ? tourConfig.default.firstScene : currentScene);
+    } catch (error) {
+        restoreHistorySnapshot(snapshot);
+        alert('Error merging tour: ' + error.message + '\n\nThe current tour was not changed.');
+        return;
     }
     
-    document.body.removeChild(textArea);
+    pushHistory(label, snapshot);
+    hideMergeTourModal();
 }
 
 /**
- * Show visual feedback for copy operation
+ * Copy the scene graph layout of a merged tour, placed below the working tour's nodes
+ * @param {Object} merged - Merged tour configuration
  */
-function showCopyFeedback() {
-    const originalText = copyBtn.textContent;
-    copyBtn.textContent = 'Copied!';
-    copyBtn.style.backgroundColor = '#28a745';
+function mergeGraphPositions(merged) {
+    const incoming = merged.editor && merged.editor.graph && merged.editor.graph.positions;
+    if (!incoming || Object.keys(incoming).length === 0) return;
+    
+    tourConfig.editor = tourConfig.editor || {};
+    tourConfig.editor.graph = tourConfig.editor.graph || {};
+    const positions = tourConfig.editor.graph.positions = tourConfig.editor.graph.positions || {};
+    
+    const existing = Object.values(positions);
+    const top = Math.min.apply(null, Object.values(incoming).map(position => position.y));
+    const offset = existing.length > 0
+        ? Math.max.apply(null, existing.map(position => position.y)) + GRAPH_NODE_SIZE.height * 2 - top
+        : 0;
+    
+    Object.keys(incoming).forEach(sceneId => {
+        positions[sceneId] = { x: incoming[sceneId].x, y: incoming[sceneId].y + offset };
+    });
+}
+
+/**
+ * ===================================================================
+ * HTML TOUR EXPORT
+ * ===================================================================
+ */
+/**
+ * Show the modal with the HTML export options
+ * The last used options are remembered in localStorage
+ */
+function showExportHtmlModal() {
+    const options = loadHtmlExportOptions();
     
-    setTimeout(() => {
-        copyBtn.textContent = originalText;
-        copyBtn.style.backgroundColor = '';
-    }, 2000);
+    document.getElementById('exportHtmlTitle').value = options.title;
+    document.getElementById('exportHtmlLayout').value = options.layout;
+    document.getElementById('exportHtmlNavigation').checked = options.navigation;
+    document.getElementById('exportHtmlPannellumSource').value = options.pannellumSource;
+    document.getElementById('exportHtmlPannellumPath').value = options.pannellumPath;
+    updateExportHtmlFields();
+    
+    exportHtmlModal.style.display = 'flex';
+}
+
+/**
+ * Hide the HTML export modal
+ */
+function hideExportHtmlModal() {
+    exportHtmlModal.style.display = 'none';
+}
+
+/**
+ * Show the Pannellum folder field only for local Pannellum files
+ */
+function updateExportHtmlFields() {
+    const isLocal = document.getElementById('exportHtmlPannellumSource').value === 'local';
+    document.getElementById('exportHtmlPannellumPathGroup').style.display = isLocal ? 'block' : 'none';
+}
+
+/**
+ * Load the last used HTML export options
+ * @returns {Object} Options with title, layout, navigation, pannellumSource and pannellumPath
+ */
+function loadHtmlExportOptions() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(HTML_EXPORT_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Ignoring invalid HTML export options:', error);
+    }
+    
+    return Object.assign({
+        title: 'Virtual Tour',
+        layout: 'fullscreen',
+        navigation: true,
+        pannellumSource: 'cdn',
+        pannellumPath: 'pannellum/'
+    }, saved);
+}
+
+/**
+ * Read the HTML export options from the modal
+ * @returns {Object} Options with title, layout, navigation, pannellumSource and pannellumPath
+ */
+function readHtmlExportOptions() {
+    return {
+        title: document.getElementById('exportHtmlTitle').value.trim() || 'Virtual Tour',
+        layout: document.getElementById('exportHtmlLayout').value,
+        navigation: document.getElementById('exportHtmlNavigation').checked,
+        pannellumSource: document.getElementById('exportHtmlPannellumSource').value,
+        pannellumPath: document.getElementById('exportHtmlPannellumPath').value.trim() || 'pannellum/'
+    };
+}
+
+/**
+ * Download the tour as a standalone index.html with the configuration inlined
+ */
+function exportHtmlTour() {
+    if (Object.keys(tourConfig.scenes).length === 0) {
+        alert('Add at least one scene before exporting');
+        return;
+    }
+    
+    const options = readHtmlExportOptions();
+    localStorage.setItem(HTML_EXPORT_STORAGE_KEY, JSON.stringify(options));
+    
+    if (!confirmExportWithErrors()) return;
+    
+    hideExportHtmlModal();
+    downloadFile(generateTourHtml(buildPublishedConfig(), options), 'index.html', 'text/html');
+}
+
+/**
+ * Copy of the tour configuration as it should be published
+ * Editor-only settings are left out
+ * @returns {Object} Tour configuration for Pannellum
+ */
+function buildPublishedConfig() {
+    const config = JSON.parse(JSON.stringify(tourConfig));
+    delete config.editor;
+    return config;
+}
+
+/**
+ * Escape text for use in HTML content or attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Generate a standalone HTML page that shows the tour
+ * Includes the viewer setup, the same previous/next navigation as the editor preview,
+ * the floor plan minimap when the tour has one and the tour's hotspot styles
+ * @param {Object} config - Tour configuration to inline
+ * @param {Object} options - Export options from readHtmlExportOptions
+ * @returns {string} HTML document
+ */
+function generateTourHtml(config, options) {
+    const pannellumBase = options.pannellumSource === 'local'
+        ? options.pannellumPath.replace(/\/?$/, '/')
+        : PANNELLUM_CDN_URL;
+    const title = escapeHtml(options.title);
+    
+    // "<" is escaped so scene text can't close the script element
+    const configJson = JSON.stringify(config, null, 4)
+        .replace(/</g, '\\u003c')
+        .replace(/\n/g, '\n        ');
+    
+    const layoutCss = options.layout === 'boxed' ? `
+        body {
+            background-color: #f5f5f5;
+            padding: 20px;
+        }
+        h1 {
+            max-width: 1200px;
+            margin: 0 auto 20px auto;
+            font-size: 28px;
+            color: #333;
+        }
+        .tour-container {
+            max-width: 1200px;
+            height: 70vh;
+            margin: 0 auto;
+            border-radius: 8px;
+            overflow: hidden;
+            box-shadow: 0 2px 12px rgba(0, 0, 0, 0.2);
+        }` : `
+        .tour-container {
+            width: 100vw;
+            height: 100vh;
+        }`;
+    
+    const navigationCss = options.navigation ? `
+        #nav-controls {
+            position: absolute;
+            bottom: 30px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            gap: 10px;
+            z-index: 1000;
+        }
+        .nav-btn {
+            background-color: rgba(255, 255, 255, 0.25);
+            color: white;
+            border: 2px solid rgba(255, 255, 255, 0.5);
+            padding: 7px;
+            font-size: 18px;
+            cursor: pointer;
+            transition: background-color 0.3s;
+            border-radius: 50%;
+        }
+        .nav-btn:hover {
+            background-color: rgba(255, 255, 255, 0.35);
+            border-color: rgba(255, 255, 255, 0.6);
+        }` : '';
+    
+    const navigationHtml = options.navigation ? `
+        <div id="nav-controls">
+            <button id="prev-btn" class="nav-btn" title="Previous scene">←</button>
+            <button id="next-btn" class="nav-btn" title="Next scene">→</button>
+        </div>` : '';
+    
+    const hasMinimap = !!(config.minimap && config.minimap.floors && config.minimap.floors.some(floor => floor.image));
+    
+    const minimapCss = hasMinimap ? `
+        #minimap {
+            position: absolute;
+            left: 15px;
+            bottom: 15px;
+            width: 240px;
+            padding: 6px;
+            background-color: rgba(0, 0, 0, 0.6);
+            border-radius: 6px;
+            z-index: 1000;
+        }
+        #minimap select {
+            width: 100%;
+            margin-bottom: 6px;
+        }
+        #minimap-plan {
+            position: relative;
+        }
+        #minimap-plan img {
+            display: block;
+            width: 100%;
+        }
+        .minimap-pin {
+            position: absolute;
+            width: 12px;
+            height: 12px;
+            margin: -6px 0 0 -6px;
+            background-color: #3498db;
+            border: 2px solid white;
+            border-radius: 50%;
+            cursor: pointer;
+        }
+        .minimap-pin.active {
+            background-color: #e74c3c;
+            z-index: 1;
+        }
+        .minimap-cone {
+            position: absolute;
+            left: -14px;
+            bottom: 4px;
+            width: 36px;
+            height: 30px;
+            background-color: rgba(231, 76, 60, 0.4);
+            clip-path: polygon(50% 100%, 0 0, 100% 0);
+            transform-origin: 50% 100%;
+            pointer-events: none;
+        }` : '';
+    
+    const minimapHtml = hasMinimap ? `
+        <div id="minimap">
+            <select id="minimap-floor"></select>
+            <div id="minimap-plan">
+                <img id="minimap-image" alt="Floor plan">
+                <div id="minimap-pins"></div>
+            </div>
+        </div>` : '';
+    
+    const minimapJs = hasMinimap ? `
+
+        // Floor plan minimap with the active scene and its view direction
+        var floors = config.minimap.floors.filter(function(floor) {
+            return floor.image;
+        });
+        var floorSelect = document.getElementById('minimap-floor');
+        var currentFloor = floors[0];
+
+        floors.forEach(function(floor, index) {
+            var option = document.createElement('option');
+            option.value = index;
+            option.textContent = floor.name;
+            floorSelect.appendChild(option);
+        });
+        if (floors.length < 2) {
+            floorSelect.style.display = 'none';
+        }
+
+        function findFloor(sceneId) {
+            for (var i = 0; i < floors.length; i++) {
+                if (floors[i].pins && floors[i].pins[sceneId]) {
+                    return floors[i];
+                }
+            }
+            return null;
+        }
+
+        function updateMinimapHeading() {
+            var cone = document.querySelector('#minimap-pins .minimap-cone');
+            var pin = currentFloor.pins && currentFloor.pins[viewer.getScene()];
+            if (cone && pin) {
+                cone.style.transform = 'rotate(' + ((pin.heading || 0) + viewer.getYaw()) + 'deg)';
+            }
+        }
+
+        function renderMinimap() {
+            var pins = document.getElementById('minimap-pins');
+            var activeScene = viewer.getScene();
+            document.getElementById('minimap-image').src = currentFloor.image;
+            floorSelect.value = floors.indexOf(currentFloor);
+            pins.innerHTML = '';
+
+            Object.keys(currentFloor.pins || {}).forEach(function(sceneId) {
+                var pin = currentFloor.pins[sceneId];
+                var pinEl = document.createElement('div');
+                pinEl.className = 'minimap-pin' + (sceneId === activeScene ? ' active' : '');
+                pinEl.style.left = (pin.x * 100) + '%';
+                pinEl.style.top = (pin.y * 100) + '%';
+                pinEl.title = config.scenes[sceneId] && config.scenes[sceneId].title || sceneId;
+                if (sceneId === activeScene) {
+                    var cone = document.createElement('div');
+                    cone.className = 'minimap-cone';
+                    pinEl.appendChild(cone);
+                }
+                pinEl.onclick = function() {
+                    if (sceneId !== viewer.getScene()) {
+                        viewer.loadScene(sceneId);
+                    }
+                };
+                pins.appendChild(pinEl);
+            });
+
+            updateMinimapHeading();
+        }
+
+        floorSelect.onchange = function() {
+            currentFloor = floors[floorSelect.value];
+            renderMinimap();
+        };
+
+        viewer.on('scenechange', function(sceneId) {
+            currentFloor = findFloor(sceneId) || currentFloor;
+            renderMinimap();
+        });
+        viewer.on('animatefinished', updateMinimapHeading);
+
+        currentFloor = findFloor(viewer.getScene()) || currentFloor;
+        renderMinimap();` : '';
+    
+    const navigationJs = options.navigation ? `
+
+        // Previous/next navigation in the tour order
+        var sceneOrder = config.default.sceneOrder || Object.keys(config.scenes);
+        var currentSceneIndex = Math.max(0, sceneOrder.indexOf(viewer.getScene()));
+
+        viewer.on('scenechange', function(sceneId) {
+            var index = sceneOrder.indexOf(sceneId);
+            if (index !== -1) {
+                currentSceneIndex = index;
+            }
+        });
+
+        document.getElementById('next-btn').onclick = function() {
+            currentSceneIndex = (currentSceneIndex + 1) % sceneOrder.length;
+            viewer.loadScene(sceneOrder[currentSceneIndex]);
+        };
+
+        document.getElementById('prev-btn').onclick = function() {
+            currentSceneIndex = (currentSceneIndex - 1 + sceneOrder.length) % sceneOrder.length;
+            viewer.loadScene(sceneOrder[currentSceneIndex]);
+        };` : '';
+    
+    const hotspotStyles = config.hotspotStyles || [];
+    const hotspotStyleCss = hotspotStyles.length > 0
+        ? '\n        ' + buildHotspotStyleCss(hotspotStyles).replace(/\n/g, '\n        ')
+        : '';
+    
+    const hotspotTooltips = buildHotspotTooltips(config);
+    const tooltipJs = Object.keys(hotspotTooltips).length > 0 ? `
+
+        // Tooltips from the hotspot style templates
+        var hotspotTooltips = ${JSON.stringify(hotspotTooltips).replace(/</g, '\\u003c')};
+
+        function createStyledTooltip(hotSpotDiv, html) {
+            hotSpotDiv.classList.add('pnlm-tooltip');
+            var span = document.createElement('span');
+            span.innerHTML = html;
+            hotSpotDiv.appendChild(span);
+            span.style.width = span.scrollWidth - 20 + 'px';
+            span.style.marginLeft = -(span.scrollWidth - hotSpotDiv.offsetWidth) / 2 + 'px';
+            span.style.marginTop = -span.scrollHeight - 12 + 'px';
+        }
+
+        Object.keys(config.scenes).forEach(function(sceneId) {
+            (config.scenes[sceneId].hotSpots || []).forEach(function(hotSpot) {
+                if (hotspotTooltips.hasOwnProperty(hotSpot.id)) {
+                    hotSpot.createTooltipFunc = createStyledTooltip;
+                    hotSpot.createTooltipArgs = hotspotTooltips[hotSpot.id];
+                }
+            });
+        });` : '';
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <link rel="stylesheet" href="${escapeHtml(pannellumBase)}pannellum.css">
+    <style>
+        html, body {
+            margin: 0;
+            padding: 0;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        }
+        * {
+            box-sizing: border-box;
+        }
+        .tour-container {
+            position: relative;
+        }
+        #panorama {
+            width: 100%;
+            height: 100%;
+        }${layoutCss}${navigationCss}${minimapCss}${hotspotStyleCss}
+    </style>
+</head>
+<body>${options.layout === 'boxed' ? `
+    <h1>${title}</h1>` : ''}
+    <div class="tour-container">
+        <div id="panorama"></div>${navigationHtml}${minimapHtml}
+    </div>
+
+    <script src="${escapeHtml(pannellumBase)}pannellum.js"></script>
+    <script>
+        var config = ${configJson};${tooltipJs}
+
+        var viewer = pannellum.viewer('panorama', config);${navigationJs}${minimapJs}
+    </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * ===================================================================
+ * TOUR PACKAGE EXPORT
+ * ===================================================================
+ */
+/**
+ * Show the modal for exporting the tour as a ZIP package
+ */
+function showExportPackageModal() {
+    document.getElementById('exportPackageStatus').textContent = '';
+    document.getElementById('confirmExportPackage').disabled = false;
+    updateExportPackageFields();
+    exportPackageModal.style.display = 'flex';
 }
 
 /**
- * Show visual feedback for capture operation
+ * Hide the package export modal
  */
-function showCaptureFeedback() {
-    const originalText = captureViewBtn.textContent;
-    captureViewBtn.textContent = 'Captured!';
-    captureViewBtn.style.backgroundColor = '#28a745';
-    
-    setTimeout(() => {
-        captureViewBtn.textContent = originalText;
-        captureViewBtn.style.backgroundColor = '';
-    }, 2000);
+function hideExportPackageModal() {
+    exportPackageModal.style.display = 'none';
 }
 
 /**
- * Preview hotspot location using lookAt animation
- * @param {Object} hotspot - Hotspot data with pitch/yaw coordinates
+ * Show the folder picker only when files are read from a folder
  */
-function previewHotspotLocation(hotspot) {
-    if (!viewer || !currentScene) return;
+function updateExportPackageFields() {
+    const fromFolder = document.getElementById('exportPackageSource').value === 'folder';
+    document.getElementById('exportPackageFolderGroup').style.display = fromFolder ? 'block' : 'none';
+}
+
+/**
+ * Build a ZIP with the viewer page, the configuration and all panorama files of the tour
+ * Panorama paths are rewritten to point at the copies inside the archive
+ */
+async function exportTourPackage() {
+    if (Object.keys(tourConfig.scenes).length === 0) {
+        alert('Add at least one scene before exporting');
+        return;
+    }
+    
+    const fromFolder = document.getElementById('exportPackageSource').value === 'folder';
+    const folderFiles = document.getElementById('exportPackageFolder').files;
+    if (fromFolder && (!folderFiles || folderFiles.length === 0)) {
+        alert('Please pick the tour folder first');
+        return;
+    }
+    
+    if (!confirmExportWithErrors()) return;
+    
+    const button = document.getElementById('confirmExportPackage');
+    const status = document.getElementById('exportPackageStatus');
+    const fileIndex = fromFolder ? indexPickedFiles(folderFiles) : null;
+    
+    button.disabled = true;
     
     try {
-        // Get the current scene's hfov
-        const scene = tourConfig.scenes[currentScene];
-        const hfov = scene ? scene.hfov : null;
+        const config = buildPublishedConfig();
+        const assets = collectPackageAssets(config);
+        const encoder = new TextEncoder();
+        const entries = [
+            { name: 'index.html', data: encoder.encode(generateTourHtml(config, loadHtmlExportOptions())) },
+            { name: 'tour-config.json', data: encoder.encode(JSON.stringify(config, null, 4)) }
+        ];
+        const missing = [];
         
-        // Use lookAt to smoothly animate to the hotspot position
-        // Parameters: pitch, yaw, hfov, animated (milliseconds), callback, callbackArgs
-        viewer.lookAt(hotspot.pitch, hotspot.yaw, hfov, 1000);
+        for (let i = 0; i < assets.length; i++) {
+            status.textContent = `Reading files ${i + 1} of ${assets.length}...`;
+            const asset = assets[i];
+            let data = await readGeneratedFile(asset.source);
+            if (!data) {
+                data = fromFolder
+                    ? await readPickedFile(fileIndex, asset.source)
+                    : await fetchPackageFile(asset.source);
+            }
+            
+            if (data) {
+                entries.push({ name: asset.target, data: data });
+            } else if (!asset.optional) {
+                missing.push(asset.source);
+            }
+        }
+        
+        if (missing.length > 0) {
+            const listed = missing.slice(0, 10).join('\n');
+            const more = missing.length > 10 ? `\n...and ${missing.length - 10} more` : '';
+            if (!confirm(`${missing.length} file(s) could not be found:\n\n${listed}${more}\n\nDownload the package without them?`)) {
+                status.textContent = 'Export cancelled';
+                return;
+            }
+        }
+        
+        status.textContent = 'Creating ZIP...';
+        downloadFile(createZipBlob(entries), 'tour.zip', 'application/zip');
+        status.textContent = `Packed ${entries.length} files`;
     } catch (error) {
-        console.error('Error previewing hotspot location:', error);
+        console.error('Error exporting package:', error);
+        status.textContent = '';
+        alert('Error exporting package: ' + error.message);
+    } finally {
+        button.disabled = false;
     }
 }
 
 /**
- * Validate that a hotspot ID is valid and unique
- * @param {string} hotspotId - ID to validate
- * @param {string} sceneId - Scene ID for context
- * @param {number} excludeIndex - Index to exclude from duplicate check (for editing)
- * @returns {Object} Validation result with isValid and errorMessage
+ * List the panorama files used by a tour and point the configuration at their package copies
+ * Files of each scene go to their own folder; external URLs are left as they are
+ * @param {Object} config - Published tour configuration, updated in place
+ * @returns {Array<Object>} Files to package with source path, target path in the archive and optional flag
  */
-function validateHotspotId(hotspotId, sceneId, excludeIndex = -1) {
-    // Check if empty or undefined (will be auto-generated)
-    if (!hotspotId || typeof hotspotId !== 'string' || hotspotId.trim() === '') {
-        return { isValid: true, errorMessage: null }; // Empty is OK, will auto-generate
-    }
+function collectPackageAssets(config) {
+    const assets = [];
+    const targetsBySource = {};
+    const usedTargets = new Set();
+    const globalBasePath = config.default.basePath || '';
+    
+    // Shared files are only packaged once
+    const addAsset = (source, target, optional) => {
+        source = normalizePackagePath(source);
+        if (targetsBySource[source]) {
+            return targetsBySource[source];
+        }
+        
+        target = normalizePackagePath(target);
+        let uniqueTarget = target;
+        let suffix = 2;
+        while (usedTargets.has(uniqueTarget)) {
+            uniqueTarget = target.replace(/(\.[^./]*)?$/, `_${suffix++}$1`);
+        }
+        
+        usedTargets.add(uniqueTarget);
+        targetsBySource[source] = uniqueTarget;
+        assets.push({ source: source, target: uniqueTarget, optional: !!optional });
+        return uniqueTarget;
+    };
     
-    // Sanitize ID (similar to scene ID validation)
-    if (!/^[a-zA-Z0-9_-]+$/.test(hotspotId)) {
-        return { 
-            isValid: false, 
-            errorMessage: 'Hotspot ID can only contain letters, numbers, underscores, and hyphens' 
+    Object.keys(config.scenes).forEach(sceneId => {
+        const scene = config.scenes[sceneId];
+        const basePath = scene.basePath !== undefined ? scene.basePath : globalBasePath;
+        const sceneFolder = PACKAGE_PANORAMA_FOLDER + sceneId + '/';
+        const packageFile = (url, name, optional) => {
+            if (isExternalUrl(url)) return url;
+            return addAsset(basePath + url, sceneFolder + (name || getFileName(url)), optional);
         };
-    }
-    
-    // Check for duplicates across ALL scenes
-    for (const [checkSceneId, scene] of Object.entries(tourConfig.scenes)) {
-        if (scene.hotSpots) {
-            for (let i = 0; i < scene.hotSpots.length; i++) {
-                const hotspot = scene.hotSpots[i];
-                // Skip if this is the same hotspot we're editing
-                if (checkSceneId === sceneId && i === excludeIndex) continue;
-                
-                if (hotspot.id === hotspotId) {
-                    return { 
-                        isValid: false, 
-                        errorMessage: `Hotspot ID "${hotspotId}" already exists in scene "${checkSceneId}"` 
-                    };
-                }
+        
+        if (scene.multiRes && !isExternalUrl(scene.multiRes.basePath || '')) {
+            const multiRes = scene.multiRes;
+            const sourceBase = basePath + (multiRes.basePath || '');
+            
+            listMultiResFiles(multiRes).forEach(file => {
+                addAsset(sourceBase + file.path, sceneFolder + file.path, file.optional);
+            });
+            
+            if (scene.preview && multiRes.basePath && scene.preview.indexOf(multiRes.basePath) === 0) {
+                scene.preview = packageFile(scene.preview, scene.preview.substring(multiRes.basePath.length));
+            } else if (scene.preview) {
+                scene.preview = packageFile(scene.preview);
             }
+            
+            multiRes.basePath = sceneFolder;
+        } else if (scene.preview) {
+            scene.preview = packageFile(scene.preview);
         }
-    }
+        
+        if (scene.panorama) {
+            scene.panorama = packageFile(scene.panorama);
+        }
+        
+        if (Array.isArray(scene.cubeMap)) {
+            scene.cubeMap = scene.cubeMap.map(face => packageFile(face));
+        }
+        
+        delete scene.basePath;
+    });
     
-    return { isValid: true, errorMessage: null };
+    // Style icons and floor plan images are relative to the page; uploaded images stay inline
+    (config.hotspotStyles || []).forEach(style => {
+        if (style.icon && !isExternalUrl(style.icon)) {
+            style.icon = addAsset(style.icon, PACKAGE_ICON_FOLDER + getFileName(style.icon));
+        }
+    });
+    
+    const floors = (config.minimap && config.minimap.floors) || [];
+    floors.forEach(floor => {
+        if (floor.image && !isExternalUrl(floor.image)) {
+            floor.image = addAsset(floor.image, PACKAGE_FLOOR_PLAN_FOLDER + getFileName(floor.image));
+        }
+    });
+    
+    // Paths in the package are relative to the page
+    delete config.default.basePath;
+    
+    return assets;
 }
 
 /**
- * Generate a scene-based hotspot ID with next available number
- * @param {string} targetSceneId - Target scene for the hotspot
- * @returns {string} Generated hotspot ID
+ * List the tiles and fallback images of a multires panorama
+ * Follows Pannellum's tiling: each level doubles the face size up to cubeResolution at maxLevel
+ * @param {Object} multiRes - Scene multiRes settings
+ * @returns {Array<Object>} Files with path relative to basePath and optional flag
  */
-function generateSceneBasedHotspotId(targetSceneId) {
-    let counter = 1;
-    let candidateId;
+function listMultiResFiles(multiRes) {
+    const files = [];
+    const relative = Object.assign({}, multiRes, { basePath: '' });
     
-    // Find next available number for this scene
-    do {
-        candidateId = `hs_${targetSceneId}_${counter.toString().padStart(3, '0')}`;
-        counter++;
-    } while (isHotspotIdInUse(candidateId));
+    for (let level = 1; level <= multiRes.maxLevel; level++) {
+        const faceSize = multiRes.cubeResolution * Math.pow(2, level - multiRes.maxLevel);
+        const tilesPerSide = Math.ceil(faceSize / multiRes.tileResolution);
+        
+        CUBE_FACE_LETTERS.forEach(face => {
+            for (let y = 0; y < tilesPerSide; y++) {
+                for (let x = 0; x < tilesPerSide; x++) {
+                    files.push({ path: buildTileUrl(relative, level, face, y, x), optional: false });
+                }
+            }
+        });
+    }
     
-    return candidateId;
+    // Fallback faces are only used without WebGL, so they may not have been generated
+    if (multiRes.fallbackPath) {
+        CUBE_FACE_LETTERS.forEach(face => {
+            files.push({ path: multiRes.fallbackPath.replace(/%s/g, face) + '.' + multiRes.extension, optional: true });
+        });
+    }
+    
+    return files;
 }
 
 /**
- * Check if a hotspot ID is already in use across all scenes
- * @param {string} hotspotId - ID to check
- * @returns {boolean} True if ID is in use
+ * Check whether a URL points outside the tour's own files
+ * @param {string} url - URL or path
+ * @returns {boolean} True for absolute, protocol-relative, data and blob URLs
  */
-function isHotspotIdInUse(hotspotId) {
-    for (const scene of Object.values(tourConfig.scenes)) {
-        if (scene.hotSpots && scene.hotSpots.some(h => h.id === hotspotId)) {
-            return true;
-        }
-    }
-    return false;
+function isExternalUrl(url) {
+    return /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
 }
 
 /**
- * Fix hotspot that's missing an ID by generating one
- * @param {Object} hotspot - Hotspot to fix
- * @param {string} sceneId - Scene ID for context
- * @param {number} index - Index in hotspot array
+ * Clean up a relative file path for use in the archive or as a lookup key
+ * @param {string} path - File path
+ * @returns {string} Path without "./" segments, repeated slashes or a leading slash
  */
-function fixMissingHotspotId(hotspot, sceneId, index) {
-    // Check if hotspot has no ID or invalid ID
-    if (!hotspot.id || typeof hotspot.id !== 'string' || hotspot.id.trim() === '') {
-        hotspot.id = `hs_${sceneId}_${hotspotCounter++}`;
-        console.log(`Generated missing ID for hotspot in scene ${sceneId}:`, hotspot.id);
+function normalizePackagePath(path) {
+    return path
+        .replace(/\\/g, '/')
+        .replace(/\/{2,}/g, '/')
+        .replace(/(^|\/)(\.\/)+/g, '$1')
+        .replace(/^\//, '');
+}
+
+/**
+ * Get the file name at the end of a path or URL
+ * @param {string} path - File path or URL
+ * @returns {string} File name without query string
+ */
+function getFileName(path) {
+    return path.split(/[?#]/)[0].split('/').pop() || 'file';
+}
+
+/**
+ * Fetch a tour file from the page's own server
+ * @param {string} path - File path relative to the editor
+ * @returns {Promise<Uint8Array|null>} File contents, or null if it doesn't exist
+ */
+async function fetchPackageFile(path) {
+    try {
+        const response = await fetch(path);
+        if (!response.ok) return null;
+        return new Uint8Array(await response.arrayBuffer());
+    } catch (error) {
+        return null;
     }
 }
 
 /**
- * Ensure all hotspots have unique IDs for proper Pannellum API usage
- * Generates IDs for hotspots that don't have them
+ * Index files picked from a folder by their path
+ * Paths are indexed with and without the picked folder's name, so it can be the tour folder or its parent
+ * @param {FileList} files - Files from a directory input
+ * @returns {Object} Map of normalized path to File
  */
-function ensureHotspotIds() {
-    let maxCounter = 0;
-    
-    // First pass: find the highest existing counter to avoid conflicts
-    Object.keys(tourConfig.scenes).forEach(sceneId => {
-        const scene = tourConfig.scenes[sceneId];
-        if (scene.hotSpots) {
-            scene.hotSpots.forEach(hotspot => {
-                if (hotspot.id && hotspot.id.startsWith('hs_')) {
-                    const parts = hotspot.id.split('_');
-                    if (parts.length >= 3) {
-                        const counter = parseInt(parts[parts.length - 1]);
-                        if (!isNaN(counter)) {
-                            maxCounter = Math.max(maxCounter, counter);
-                        }
-                    }
-                }
-            });
+function indexPickedFiles(files) {
+    const index = {};
+    Array.from(files).forEach(file => {
+        const path = normalizePackagePath(file.webkitRelativePath || file.name);
+        index[path] = file;
+        
+        const withoutFolder = path.substring(path.indexOf('/') + 1);
+        if (!index[withoutFolder]) {
+            index[withoutFolder] = file;
         }
     });
+    return index;
+}
+
+/**
+ * Read a tour file from the picked folder
+ * @param {Object} fileIndex - Map returned by indexPickedFiles
+ * @param {string} path - File path relative to the editor
+ * @returns {Promise<Uint8Array|null>} File contents, or null if it wasn't picked
+ */
+async function readPickedFile(fileIndex, path) {
+    const file = fileIndex[normalizePackagePath(path)];
+    if (!file) return null;
+    return new Uint8Array(await file.arrayBuffer());
+}
+
+/**
+ * Build an uncompressed ZIP archive
+ * Panorama tiles are already compressed, so files are stored as they are
+ * @param {Array<Object>} entries - Files with name and data (Uint8Array)
+ * @returns {Blob} ZIP archive
+ */
+function createZipBlob(entries) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+    
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    
+    if (entries.length > 0xFFFF) {
+        throw new Error('The package has too many files for a ZIP archive');
+    }
     
-    // Update global counter to avoid conflicts
-    hotspotCounter = maxCounter + 1;
-    
-    // Second pass: generate IDs for hotspots that don't have them
-    Object.keys(tourConfig.scenes).forEach(sceneId => {
-        const scene = tourConfig.scenes[sceneId];
-        if (scene.hotSpots) {
-            scene.hotSpots.forEach((hotspot, index) => {
-                fixMissingHotspotId(hotspot, sceneId, index);
-            });
+    entries.forEach(entry => {
+        const name = encoder.encode(entry.name);
+        const crc = crc32(entry.data);
+        const size = entry.data.length;
+        
+        if (offset + size > 0xFFFFFFFF) {
+            throw new Error('The package is larger than the 4 GB a ZIP archive can hold');
         }
+        
+        // Local file header; flag bit 11 marks UTF-8 names
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true);
+        header.setUint16(8, 0, true);
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, size, true);
+        header.setUint32(22, size, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+        parts.push(header.buffer, name, entry.data);
+        
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, 0x02014b50, true);
+        record.setUint16(4, 20, true);
+        record.setUint16(6, 20, true);
+        record.setUint16(8, 0x0800, true);
+        record.setUint16(10, 0, true);
+        record.setUint16(12, dosTime, true);
+        record.setUint16(14, dosDate, true);
+        record.setUint32(16, crc, true);
+        record.setUint32(20, size, true);
+        record.setUint32(24, size, true);
+        record.setUint16(28, name.length, true);
+        record.setUint32(42, offset, true);
+        centralDirectory.push(record.buffer, name);
+        
+        offset += 30 + name.length + size;
     });
+    
+    const directorySize = centralDirectory.reduce((total, part) => total + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob(parts.concat(centralDirectory, [end.buffer]), { type: 'application/zip' });
 }
 
 /**
- * Import tour configuration from JSON file
- * @param {Event} e - File input change event
+ * Lookup table for crc32, built on first use
+ * @type {Uint32Array|null}
  */
-function importConfiguration(e) {
-    const file = e.target.files[0];
-    if (!file) return;
-    
-    const reader = new FileReader();
-    reader.onload = (event) => {
-        try {
-            const imported = JSON.parse(event.target.result);
-            tourConfig = imported;
-            
-            // Ensure sceneOrder exists
-            if (!tourConfig.default.sceneOrder || tourConfig.default.sceneOrder.length === 0) {
-                tourConfig.default.sceneOrder = Object.keys(tourConfig.scenes);
-            }
-            
-            // Ensure all hotspots have IDs BEFORE any other processing
-            ensureHotspotIds();
-            
-            // Sync scenes object order with sceneOrder
-            reorderScenes(tourConfig.default.sceneOrder);
-            
-            updateSceneDropdowns();
-            renderSceneOrderList();
-            
-            // Select the first scene from the imported config
-            if (tourConfig.default.firstScene && tourConfig.scenes[tourConfig.default.firstScene]) {
-                sceneSelect.value = tourConfig.default.firstScene;
-            } else if (Object.keys(tourConfig.scenes).length > 0) {
-                // If no first scene is set, select the first available scene
-                sceneSelect.value = Object.keys(tourConfig.scenes)[0];
+let crc32Table = null;
+
+/**
+ * Compute the CRC-32 checksum ZIP archives use
+ * @param {Uint8Array} data - Bytes to checksum
+ * @returns {number} Unsigned checksum
+ */
+function crc32(data) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
             }
-            selectScene();
-            
-            // Reinitialize viewer with new config
-            initializeViewer();
-        } catch (error) {
-            alert('Error importing configuration: ' + error.message);
+            crc32Table[n] = c >>> 0;
         }
-    };
-    reader.readAsText(file);
+    }
+    
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crc32Table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
 }
 
 /**
@@ -1951,43 +9033,100 @@ function updateSceneDropdowns() {
 }
 
 /**
- * Scene order section collapse/expand functions
- */
-/**
- * Toggle scene order section visibility
+ * Rebuild the dropdowns, lists and viewer after tourConfig was replaced
+ * Keeps the camera position when the same scene stays selected
+ * @param {string} [preferredSceneId] - Scene to select if it still exists
  */
-function toggleSceneOrder() {
-    const content = document.getElementById('sceneOrderContent');
-    const toggle = document.getElementById('sceneOrderToggle');
+function refreshEditorFromConfig(preferredSceneId) {
+    let savedView = null;
+    if (viewer) {
+        try {
+            savedView = {
+                scene: viewer.getScene(),
+                pitch: viewer.getPitch(),
+                yaw: viewer.getYaw(),
+                hfov: viewer.getHfov()
+            };
+        } catch (e) {
+            savedView = null;
+        }
+    }
     
-    if (!content || !toggle) return;
+    // Pick the scene to show: preferred, then first scene, then any scene
+    const sceneIds = Object.keys(tourConfig.scenes);
+    let targetScene = '';
+    if (preferredSceneId && tourConfig.scenes[preferredSceneId]) {
+        targetScene = preferredSceneId;
+    } else if (tourConfig.default.firstScene && tourConfig.scenes[tourConfig.default.firstScene]) {
+        targetScene = tourConfig.default.firstScene;
+    } else if (sceneIds.length > 0) {
+        targetScene = sceneIds[0];
+    }
     
-    if (content.style.display === 'none') {
-        content.style.display = 'block';
-        toggle.textContent = '▼';
-        localStorage.setItem('sceneOrderExpanded', 'true');
-    } else {
-        content.style.display = 'none';
-        toggle.textContent = '▶';
-        localStorage.setItem('sceneOrderExpanded', 'false');
+    currentScene = targetScene || null;
+    updateSceneDropdowns();
+    renderSceneOrderList();
+    initializeViewer();
+    
+    sceneSelect.value = targetScene;
+    selectScene();
+    
+    // Restore the camera if we are still looking at the same scene
+    if (viewer && savedView && savedView.scene === targetScene) {
+        try {
+            viewer.loadScene(targetScene, savedView.pitch, savedView.yaw, savedView.hfov);
+        } catch (error) {
+            console.error('Error restoring view:', error);
+        }
     }
 }
 
 /**
- * Restore scene order section state from localStorage
+ * Collapsible sections of the editor panel
+ * Each entry maps the header, content and toggle elements to a localStorage key
+ * @type {Array<Object>}
+ */
+const COLLAPSIBLE_SECTIONS = [
+    { header: 'sceneOrderHeader', content: 'sceneOrderContent', toggle: 'sceneOrderToggle', storageKey: 'sceneOrderExpanded' },
+    { header: 'floorPlanHeader', content: 'floorPlanContent', toggle: 'floorPlanToggle', storageKey: 'floorPlanExpanded' },
+    { header: 'hotspotStylesHeader', content: 'hotspotStylesContent', toggle: 'hotspotStylesToggle', storageKey: 'hotspotStylesExpanded' },
+    { header: 'historyHeader', content: 'historyContent', toggle: 'historyToggle', storageKey: 'historyExpanded' },
+    { header: 'validationHeader', content: 'validationContent', toggle: 'validationToggle', storageKey: 'validationExpanded' }
+];
+
+/**
+ * Toggle a collapsible section and remember its state
+ * @param {Object} section - Entry from COLLAPSIBLE_SECTIONS
+ */
+function toggleCollapsibleSection(section) {
+    const content = document.getElementById(section.content);
+    if (!content) return;
+    
+    const expanded = content.style.display === 'none';
+    setCollapsibleSectionState(section, expanded);
+    localStorage.setItem(section.storageKey, expanded ? 'true' : 'false');
+}
+
+/**
+ * Show or hide the content of a collapsible section
+ * @param {Object} section - Entry from COLLAPSIBLE_SECTIONS
+ * @param {boolean} expanded - Whether the content should be visible
  */
-function restoreSceneOrderState() {
-    const expanded = localStorage.getItem('sceneOrderExpanded') !== 'false';
-    const content = document.getElementById('sceneOrderContent');
-    const toggle = document.getElementById('sceneOrderToggle');
+function setCollapsibleSectionState(section, expanded) {
+    const content = document.getElementById(section.content);
+    const toggle = document.getElementById(section.toggle);
     
     if (!content || !toggle) return;
     
-    if (!expanded) {
-        content.style.display = 'none';
-        toggle.textContent = '▶';
-    } else {
-        content.style.display = 'block';
-        toggle.textContent = '▼';
-    }
+    content.style.display = expanded ? 'block' : 'none';
+    toggle.textContent = expanded ? '▼' : '▶';
+}
+
+/**
+ * Restore all collapsible section states from localStorage
+ */
+function restoreCollapsibleSections() {
+    COLLAPSIBLE_SECTIONS.forEach(section => {
+        setCollapsibleSectionState(section, localStorage.getItem(section.storageKey) !== 'false');
+    });
 }
\ No newline at end of file